@@ -21,7 +21,9 @@ const minify = new Minify({maxConcurrency: 4})
 
 /* Since the API is asynchronous it's important to catch errors 
 correctly. The minifier will throw errors if it has any trouble 
-with the syntax of the file to minify. */
+with the syntax of the file to minify. These are `MinifyError` 
+instances with the `file`, `line`, `column` and `codeFrame` of 
+the problem. */
 
 /* Here we try to minify a file: */
 try { // (a try/catch block works well with await)
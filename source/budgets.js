@@ -0,0 +1,72 @@
+/*
+Size budgets for the minified files, per glob or content type. E.g. `{'**\/*.js': {maxMinified: '200kB', maxGzip: '60kB'}, css: {maxMinified: 50000}}`.
+*/
+
+import {readFile} from 'node:fs/promises'
+import {pathMatcher} from './glob.js'
+import {contentTypes} from './content-types.js'
+import {compressedSizes} from './compression.js'
+
+/** The limits a budget can have and the size they limit. */
+const limits = {maxMinified: 'minified', maxGzip: 'gzip', maxBrotli: 'brotli'}
+const sizeUnits = {b: 1, kb: 1000, mb: 1000 ** 2, gb: 1000 ** 3, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3}
+
+/**
+ * Parse a size such as `'200kB'` (1000 bytes per kB, use KiB for 1024) or a number of bytes.
+ * @param {string|number} size
+ * @returns {number} The size in bytes.
+ */
+export function parseSize(size) {
+  if (typeof size == 'number' && size >= 0) return size
+  const [, number, unit] = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(size ?? '') ?? []
+  const multiplier = sizeUnits[unit?.toLowerCase() || 'b']
+  if (number === undefined || !multiplier) throw TypeError("A budget size must be a number of bytes or a string like '200kB', got: "+size)
+  return Math.round(number * multiplier)
+}
+
+/**
+ * Validate the budgets and prepare them for `checkBudgets()`.
+ * @param {Object.<string, {maxMinified: string|number, maxGzip: string|number, maxBrotli: string|number}>} [budgets] The limits of the files matching a glob (e.g. `'**\/*.js'`) or having a content type (e.g. `'js'`).
+ * @returns {Array.<{budget: string, matches: function(string, string): boolean, limits: Object.<string, number>}>}
+ */
+export function compileBudgets(budgets = {}) {
+  if (typeof budgets != 'object') throw TypeError('The budgets must be an object with globs or types as keys, got: '+budgets)
+  return Object.entries(budgets).map(([budget, budgetLimits]) => {
+    const parsedLimits = {}
+    for (const [limit, size] of Object.entries(budgetLimits ?? {})) {
+      if (!limits.hasOwnProperty(limit)) throw TypeError('Unknown budget limit: '+limit+'. Valid limits are: '+Object.keys(limits).join(', '))
+      parsedLimits[limit] = parseSize(size)
+    }
+    const isMatch = contentTypes.includes(budget) ? undefined : pathMatcher(budget)
+    return {
+      budget, limits: parsedLimits,
+      matches: (file, type) => isMatch ? isMatch(file) : type == budget
+    }
+  })
+}
+
+/**
+ * Check the minified files against the budgets.
+ * @param {Array} compiledBudgets From `compileBudgets()`.
+ * @param {Array.<{file: string, outputFile: string, type: string, outputSize: number}>} results Where `file` is the path matched against the globs.
+ * @returns {Promise.<Array>} The violations, see `BudgetError`.
+ */
+export async function checkBudgets(compiledBudgets, results) {
+  const violations = []
+  for (const {file, outputFile, type, outputSize} of results) {
+    const matching = compiledBudgets.filter(({matches}) => matches(file, type))
+    if (!matching.length) continue
+    let compressed // only compressed if needed
+    for (const {budget, limits: budgetLimits} of matching) {
+      for (const [limit, allowed] of Object.entries(budgetLimits)) {
+        let actual = outputSize
+        if (limit != 'maxMinified') {
+          compressed ??= await compressedSizes(await readFile(outputFile))
+          actual = limit == 'maxGzip' ? compressed.gzipBytes : compressed.brotliBytes
+        }
+        if (actual > allowed) violations.push({file, outputFile, budget, limit: limits[limit], actual, allowed})
+      }
+    }
+  }
+  return violations
+}
@@ -0,0 +1,77 @@
+/*
+Translates the structured per-language options accepted by the `Minify` constructor into minify CLI flags. See the CLI documentation for what they do:
+https://github.com/tdewolff/minify/tree/master/cmd/minify#usage
+*/
+
+/** For each content type: the option name mapped to its expected value type and the CLI flag it translates into. */
+const optionSchema = {
+  html: {
+    keepComments:            ['boolean', '--html-keep-comments'],
+    keepConditionalComments: ['boolean', '--html-keep-conditional-comments'],
+    keepDefaultAttrVals:     ['boolean', '--html-keep-default-attrvals'],
+    keepDocumentTags:        ['boolean', '--html-keep-document-tags'],
+    keepEndTags:             ['boolean', '--html-keep-end-tags'],
+    keepQuotes:              ['boolean', '--html-keep-quotes'],
+    keepSpecialComments:     ['boolean', '--html-keep-special-comments'],
+    keepWhitespace:          ['boolean', '--html-keep-whitespace'],
+  },
+  css: {
+    precision:               ['integer', '--css-precision'],
+    version:                 ['integer', '--css-version'],
+  },
+  js: {
+    precision:               ['integer', '--js-precision'],
+    keepVarNames:            ['boolean', '--js-keep-var-names'],
+    version:                 ['integer', '--js-version'],
+  },
+  svg: {
+    keepComments:            ['boolean', '--svg-keep-comments'],
+    precision:               ['integer', '--svg-precision'],
+  },
+  xml: {
+    keepWhitespace:          ['boolean', '--xml-keep-whitespace'],
+  },
+  json: {
+    precision:               ['integer', '--json-precision'],
+    keepNumbers:             ['boolean', '--json-keep-numbers'],
+  },
+}
+
+function checkValue(value, expected) {
+  switch (expected) {
+    case 'boolean': return typeof value == 'boolean'
+    case 'integer': return Number.isInteger(value) && value >= 0
+  }
+}
+
+/**
+ * Validate the per-language option objects and translate them into CLI flags. Throws (synchronously) on unknown keys or wrongly typed values.
+ * @param {Object.<string, Object>} optionsByType E.g. `{html: {keepEndTags: true}, js: {precision: 3}}`.
+ * @returns {Array.<string>} The CLI flags.
+ */
+export function cliOptionsFromObjects(optionsByType) {
+  const cliOptions = []
+  for (const [type, options] of Object.entries(optionsByType)) {
+    if (options === undefined) continue
+    const schema = optionSchema[type]
+    if (typeof options != 'object' || options === null || Array.isArray(options)) {
+      throw TypeError('The '+type+' options must be an object, got: '+options)
+    }
+    for (const [key, value] of Object.entries(options)) {
+      if (!schema.hasOwnProperty(key)) {
+        throw TypeError('Unknown '+type+' option: '+key+'. Valid options are: '+Object.keys(schema).join(', '))
+      }
+      if (value === undefined) continue
+      const [expected, flag] = schema[key]
+      if (!checkValue(value, expected)) {
+        throw TypeError('The '+type+' option '+key+' must be '+(expected == 'integer' ? 'a non-negative integer' : 'a boolean')+', got: '+value)
+      }
+      if (expected == 'boolean') {
+        if (value) cliOptions.push(flag)
+      } else {
+        cliOptions.push(flag+'='+value)
+      }
+    }
+  }
+  return cliOptions
+}
@@ -0,0 +1,69 @@
+/*
+Compression of the minified output using `node:zlib` (which runs it in the libuv thread pool, off the main thread).
+*/
+
+import {gzip, brotliCompress, constants} from 'node:zlib'
+import {readFile, writeFile, rm} from 'node:fs/promises'
+import {promisify} from 'node:util'
+const gzipAsync = promisify(gzip), brotliAsync = promisify(brotliCompress)
+
+/**
+ * Get the size of the data when compressed at the max levels (as when precompressing static assets).
+ * @param {string|Buffer|Uint8Array} data
+ * @returns {Promise.<{gzipBytes: number, brotliBytes: number}>}
+ */
+export async function compressedSizes(data) {
+  const [gzipped, brotlied] = await Promise.all([
+    gzipAsync(data, {level: constants.Z_BEST_COMPRESSION}),
+    brotliAsync(data, {params: {[constants.BROTLI_PARAM_QUALITY]: constants.BROTLI_MAX_QUALITY}})
+  ])
+  return {gzipBytes: gzipped.byteLength, brotliBytes: brotlied.byteLength}
+}
+
+/** The file extension of the sidecar written for each compression format. */
+const sidecarExtensions = {gzip: '.gz', brotli: '.br'}
+
+/**
+ * Validate and normalize the `precompress` option.
+ * @param {Array.<string>|{formats: Array.<string>, gzipLevel: number, brotliLevel: number, minSize: number}} [precompress] The formats (`'gzip'` and/or `'brotli'`) to write sidecars for, optionally with the compression levels (defaults to the max) and the min size in bytes for a file to be compressed (defaults to 0).
+ * @returns {{formats: Array.<string>, gzipLevel: number, brotliLevel: number, minSize: number}|undefined} `undefined` if there's nothing to precompress.
+ */
+export function precompressOptions(precompress) {
+  if (!precompress) return
+  const {formats, gzipLevel = constants.Z_BEST_COMPRESSION, brotliLevel = constants.BROTLI_MAX_QUALITY, minSize = 0} = Array.isArray(precompress) ? {formats: precompress} : precompress
+  if (!Array.isArray(formats)) throw TypeError("The precompress formats must be an array of 'gzip' and/or 'brotli', got: "+formats)
+  for (const format of formats) {
+    if (!sidecarExtensions.hasOwnProperty(format)) throw TypeError("Unknown precompress format: "+format+". Valid formats are 'gzip' and 'brotli'.")
+  }
+  if (!(Number.isInteger(gzipLevel) && gzipLevel >= 0 && gzipLevel <= 9)) throw TypeError('The gzipLevel must be an integer from 0 to 9, got: '+gzipLevel)
+  if (!(Number.isInteger(brotliLevel) && brotliLevel >= 0 && brotliLevel <= 11)) throw TypeError('The brotliLevel must be an integer from 0 to 11, got: '+brotliLevel)
+  if (!(minSize >= 0)) throw TypeError('The precompress minSize must be a non-negative number of bytes, got: '+minSize)
+  if (!formats.length) return
+  return {formats, gzipLevel, brotliLevel, minSize}
+}
+
+/**
+ * Write a compressed copy of a file next to it for every format (e.g. `app.js.gz` and `app.js.br`). If the file is smaller than the min size any outdated copies are removed instead.
+ * @param {string} file
+ * @param {Object} options As returned by `precompressOptions()`.
+ * @returns {Promise.<Object.<string, {file: string, size: number}>>} The path and size of the copy written per format.
+ */
+export async function writePrecompressed(file, {formats, gzipLevel, brotliLevel, minSize}) {
+  const data = await readFile(file)
+  const written = {}
+  await Promise.all(formats.map(async format => {
+    const sidecar = file+sidecarExtensions[format]
+    if (data.byteLength < minSize) return rm(sidecar, {force: true})
+    const compressed = format == 'gzip'
+      ? await gzipAsync(data, {level: gzipLevel})
+      : await brotliAsync(data, {params: {[constants.BROTLI_PARAM_QUALITY]: brotliLevel, [constants.BROTLI_PARAM_SIZE_HINT]: data.byteLength}})
+    await writeFile(sidecar, compressed)
+    written[format] = {file: sidecar, size: compressed.byteLength}
+  }))
+  return written
+}
+
+/** Remove the compressed copies of a file, e.g. when it was removed. */
+export function removePrecompressed(file) {
+  return Promise.all(Object.values(sidecarExtensions).map(extension => rm(file+extension, {force: true})))
+}
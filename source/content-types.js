@@ -0,0 +1,123 @@
+/*
+Resolves the content type (as understood by minify) of MIME types and file extensions.
+*/
+
+import {extname} from 'node:path'
+
+/** The content types supported by minify. */
+export const contentTypes = ['html', 'css', 'js', 'json', 'svg', 'xml']
+
+/** The default content type of each file extension. */
+const defaultExtensionTypes = {
+  html: 'html', htm: 'html', xhtml: 'html',
+  css: 'css',
+  js: 'js', mjs: 'js', cjs: 'js',
+  json: 'json', jsonld: 'json', webmanifest: 'json', geojson: 'json',
+  svg: 'svg',
+  xml: 'xml', rss: 'xml', atom: 'xml', xsl: 'xml',
+}
+
+/** The content type of each MIME type (any other ending with `+json` or `+xml` is also understood). */
+const mimeTypes = {
+  'text/html': 'html', 'application/xhtml+xml': 'html',
+  'text/css': 'css',
+  'text/javascript': 'js', 'application/javascript': 'js', 'application/x-javascript': 'js', 'application/ecmascript': 'js', 'text/ecmascript': 'js',
+  'application/json': 'json', 'text/json': 'json',
+  'image/svg+xml': 'svg',
+  'application/xml': 'xml', 'text/xml': 'xml',
+}
+
+export class TypeResolver {
+  #extensionTypes = new Map(Object.entries(defaultExtensionTypes))
+  #fallback
+
+  /**
+   * @param {Object} [options]
+   * @param {Object.<string, string>} [options.extensions] Additional file extensions mapped to the type to use for them, e.g. `{tpl: 'html'}`.
+   * @param {function(string): string} [options.fallback] Called with the path of a file with an unknown extension, it can return its type.
+   */
+  constructor({extensions = {}, fallback} = {}) {
+    if (fallback !== undefined && typeof fallback != 'function') throw TypeError('The type resolver fallback must be a function, got: '+fallback)
+    for (const [extension, type] of Object.entries(extensions)) {
+      this.setExtensionType(extension, type)
+    }
+    this.#fallback = fallback
+  }
+
+  /**
+   * Map a file extension to a content type.
+   * @param {string} extension E.g. `'tpl'` (a leading dot is ignored).
+   * @param {string} type A content type, MIME type or another known extension.
+   */
+  setExtensionType(extension, type) {
+    const resolved = this.type(type)
+    if (typeof extension != 'string' || !resolved) throw TypeError('Can not map the extension '+extension+' to the unknown type: '+type)
+    this.#extensionTypes.set(extension.replace(/^\./, '').toLowerCase(), resolved)
+  }
+
+  /**
+   * Resolve a type given by the user.
+   * @param {string} type A content type (e.g. `'html'`), MIME type (e.g. `'text/html; charset=utf-8'`) or known file extension (e.g. `'htm'`).
+   * @returns {string|undefined} The content type or `undefined` if unknown.
+   */
+  type(type) {
+    if (typeof type != 'string') return
+    type = type.toLowerCase()
+    if (contentTypes.includes(type)) return type
+    if (type.includes('/')) {
+      const mimeType = type.split(';')[0].trim()
+      if (mimeTypes[mimeType]) return mimeTypes[mimeType]
+      if (mimeType.endsWith('+json')) return 'json'
+      if (mimeType.endsWith('+xml')) return 'xml'
+      return
+    }
+    return this.#extensionTypes.get(type.replace(/^\./, ''))
+  }
+
+  /**
+   * Get the type of a file using its extension (or the fallback).
+   * @param {string} filePath
+   * @returns {string|undefined} The content type or `undefined` if unknown.
+   */
+  fileType(filePath) {
+    const type = this.#extensionTypes.get(extname(filePath).slice(1).toLowerCase())
+    if (type) return type
+    if (this.#fallback) return this.type(this.#fallback(filePath))
+  }
+}
+
+/** The names of common HTML elements, used to tell an HTML fragment from XML. */
+const htmlElements = new Set(('a abbr address area article aside audio b base bdi bdo blockquote body br button canvas caption cite code col colgroup data datalist dd del details dfn dialog div dl dt em embed fieldset figcaption figure footer form h1 h2 h3 h4 h5 h6 head header hr html i iframe img input ins kbd label legend li link main map mark menu meta meter nav noscript object ol optgroup option output p picture pre progress q s samp script section select slot small source span strong style sub summary sup table tbody td template textarea tfoot th thead time title tr track u ul var video wbr').split(' '))
+
+/**
+ * Guess the content type of some input by looking at it: a doctype, XML prolog or markup, whether it's valid JSON and otherwise whether it looks more like CSS or JavaScript.
+ * @param {string} source
+ * @returns {string|undefined} The content type or `undefined` if there's nothing to go by (e.g. it's empty).
+ */
+export function sniffType(source) {
+  const text = source.replace(/^\uFEFF/, '').trimStart()
+  if (!text) return
+  if (text[0] == '<') {
+    const markup = text.replace(/^(?:<\?[^]*?\?>|<!--[^]*?-->|\s)+/, '') // skip the prolog and comments
+    if (/^<!doctype\s+html\b/i.test(markup)) return 'html'
+    if (/^<!doctype\s+svg\b/i.test(markup)) return 'svg'
+    const element = /^<!doctype\s+([\w:-]+)/i.exec(markup)?.[1] ?? /^<([\w:-]+)/.exec(markup)?.[1]
+    if (element?.toLowerCase() == 'svg') return 'svg'
+    if (element && htmlElements.has(element.toLowerCase())) return 'html'
+    if (/^<\?xml\b/.test(text) || element) return 'xml'
+    if (/^<!--/.test(text)) return 'html' // nothing but comments
+  }
+  if (text[0] == '{' || text[0] == '[' || text[0] == '"' || /^(?:-?\d|true\b|false\b|null\b)/.test(text)) {
+    try {JSON.parse(text); return 'json'} catch {}
+  }
+  const code = text.replace(/\/\*[^]*?\*\//g, '') // comments are shared by both
+  const cssScore = count(code, /@(?:charset|import|media|font-face|keyframes|supports|layer|namespace|page|container)\b/g)
+    + count(code, /(?:^|[{};])\s*[^{};()=]+\{\s*(?:--)?[a-z-]+\s*:[^{};]+[;}]/gi)
+  const jsScore = count(code, /\b(?:function|const|let|var|return|import|export|class|if|for|while|new|typeof|await)\b/g)
+    + count(code, /=>|===?|!==?|&&|\|\||\)\s*;/g)
+  return cssScore > jsScore ? 'css' : 'js'
+}
+
+function count(text, regExp) {
+  return text.match(regExp)?.length ?? 0
+}
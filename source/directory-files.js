@@ -0,0 +1,44 @@
+/*
+Helpers for the methods minifying the files of a directory.
+*/
+
+import {readdir} from 'node:fs/promises'
+import {join, resolve} from 'node:path'
+import {pathMatcher} from './glob.js'
+
+/**
+ * Create a function which returns the type of a file if it should be minified.
+ * @param {Object} options
+ * @param {string|RegExp|function|Array} [options.include] Only select files with a relative path matching any of these.
+ * @param {string|RegExp|function|Array} [options.exclude] Never select files with a relative path matching any of these.
+ * @param {TypeResolver} options.types Files with an unknown type are never selected.
+ * @returns {function(string): string|undefined} Given a relative path (using `/` as separator) it returns its type, or `undefined` if it's not selected.
+ */
+export function fileSelector({include, exclude, types}) {
+  const isIncluded = include ? pathMatcher(include) : () => true
+  const isExcluded = exclude ? pathMatcher(exclude) : () => false
+  return file => {
+    const type = types.fileType(file)
+    if (type && isIncluded(file) && !isExcluded(file)) return type
+  }
+}
+
+/**
+ * List the files in a directory.
+ * @param {string} directory
+ * @param {boolean} recursive Include the files in subdirectories.
+ * @param {string} [skipDirectory] An absolute path of a subdirectory to skip.
+ * @returns {Promise.<Array.<string>>} The relative paths (using `/` as separator).
+ */
+export async function listFiles(directory, recursive, skipDirectory, prefix = '') {
+  const files = []
+  for (const dirent of await readdir(join(directory, prefix), {withFileTypes: true})) {
+    const path = prefix+dirent.name
+    if (dirent.isFile()) {
+      files.push(path)
+    } else if (recursive && dirent.isDirectory() && resolve(directory, path) != skipDirectory) {
+      files.push(...await listFiles(directory, recursive, skipDirectory, path+'/'))
+    }
+  }
+  return files
+}
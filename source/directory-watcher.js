@@ -0,0 +1,143 @@
+/*
+Watches a directory and minifies the files which change in it, see `Minify#watch`.
+*/
+
+import {EventEmitter} from 'node:events'
+import {watch} from 'node:fs'
+import {readdir, stat, mkdir, rm} from 'node:fs/promises'
+import {join, resolve, dirname, sep} from 'node:path'
+import {fileSelector} from './directory-files.js'
+import {AbortError} from './errors.js'
+import {precompressOptions, removePrecompressed} from './compression.js'
+
+/** Emits `ready` when the directories are watched, `minified` (with the result of `fileToFile()` and the relative `file` path) when a changed file was minified, `removed` (with the `file`, `inputFile` and `outputFile`) when a file was deleted and its output removed, `error` (with the error and relative path) if anything failed and `close` when closed. */
+export class DirectoryWatcher extends EventEmitter {
+  #minify; #sourceDirectory; #outputDirectory; #skipDirectory
+  #recursive; #typeOf; #rename; #debounce; #jobOptions
+  #watchers = new Map(); #timers = new Map(); #inFlight = new Map()
+  #closed = false
+
+  /**
+   * Use `Minify#watch` to create one.
+   * @param {Minify} minify The controller to queue the jobs at.
+   * @param {TypeResolver} types Used to get the type of each file.
+   * @param {string} sourceDirectory
+   * @param {string} outputDirectory
+   * @param {Object} [options] See `Minify#watch`.
+   */
+  constructor(minify, types, sourceDirectory, outputDirectory, {recursive = true, include, exclude, rename, debounce = 100, initial = false, signal, ...jobOptions} = {}) {
+    super() // init the EventEmitter
+    if (!(debounce >= 0)) throw TypeError('The debounce must be a non-negative number of milliseconds, got: '+debounce)
+    precompressOptions(jobOptions.precompress) // throws if invalid
+    if (jobOptions.hashNames) throw TypeError('The hashNames option can not be used when watching, since the outputs of removed files could not be found')
+    this.#minify = minify
+    this.#sourceDirectory = sourceDirectory
+    this.#outputDirectory = outputDirectory
+    this.#skipDirectory = resolve(outputDirectory)
+    this.#recursive = recursive
+    this.#typeOf = fileSelector({include, exclude, types})
+    this.#rename = rename
+    this.#debounce = debounce
+    this.#jobOptions = jobOptions
+    if (signal) {
+      if (signal.aborted) {this.close(); return}
+      signal.addEventListener('abort', () => this.close(), {once: true})
+    }
+    this.#watchDirectory('', initial).then(
+      () => {if (!this.#closed) this.emit('ready')},
+      error => this.emit('error', error, '')
+    )
+  }
+
+  /** Stop watching and abort the jobs in progress. */
+  close() {
+    if (this.#closed) return
+    this.#closed = true
+    for (const watcher of this.#watchers.values()) watcher.close()
+    for (const timer of this.#timers.values()) clearTimeout(timer)
+    for (const abortController of this.#inFlight.values()) abortController.abort()
+    this.#watchers.clear()
+    this.#timers.clear()
+    this.emit('close')
+  }
+
+  /** `true` after `close()` was called. */
+  get closed() {
+    return this.#closed
+  }
+
+  #isOutput(file) {
+    const path = resolve(this.#sourceDirectory, file)
+    return path == this.#skipDirectory || path.startsWith(this.#skipDirectory+sep)
+  }
+
+  /** Watch a directory (and its subdirectories if recursive), optionally minifying the files in it. */
+  async #watchDirectory(directory, minifyFiles) {
+    if (this.#closed || this.#watchers.has(directory) || this.#isOutput(directory)) return
+    const path = join(this.#sourceDirectory, directory)
+    const watcher = watch(path, (_eventType, name) => {
+      if (name) this.#changed(directory ? directory+'/'+name : name)
+    })
+    watcher.on('error', () => this.#unwatchDirectory(directory)) // e.g. if it was removed
+    this.#watchers.set(directory, watcher)
+    for (const dirent of await readdir(path, {withFileTypes: true})) {
+      const file = directory ? directory+'/'+dirent.name : dirent.name
+      if (dirent.isDirectory()) {
+        if (this.#recursive) await this.#watchDirectory(file, minifyFiles)
+      } else if (minifyFiles) {
+        this.#changed(file)
+      }
+    }
+  }
+
+  #unwatchDirectory(directory) {
+    for (const [watched, watcher] of this.#watchers) {
+      if (watched == directory || watched.startsWith(directory+'/')) {
+        watcher.close()
+        this.#watchers.delete(watched)
+      }
+    }
+  }
+
+  /** Debounce the changes of a path. */
+  #changed(file) {
+    if (this.#closed || this.#isOutput(file)) return
+    clearTimeout(this.#timers.get(file))
+    this.#timers.set(file, setTimeout(() => {
+      this.#timers.delete(file)
+      this.#update(file).catch(error => this.emit('error', error, file))
+    }, this.#debounce))
+  }
+
+  async #update(file) {
+    const inputFile = join(this.#sourceDirectory, file)
+    const stats = await stat(inputFile).catch(() => undefined)
+    if (stats?.isDirectory()) {
+      if (this.#recursive) await this.#watchDirectory(file, true) // a new directory
+      return
+    }
+    if (!stats) this.#unwatchDirectory(file) // in case it was a directory
+    const type = this.#typeOf(file)
+    if (!type) return
+    this.#inFlight.get(file)?.abort() // the job is outdated
+    const outputFile = join(this.#outputDirectory, this.#rename ? this.#rename(file, type) : file)
+    if (!stats) {
+      await rm(outputFile, {force: true})
+      if (this.#jobOptions.precompress) await removePrecompressed(outputFile)
+      this.emit('removed', {file, inputFile, outputFile})
+      return
+    }
+    if (!stats.isFile()) return
+    const abortController = new AbortController()
+    this.#inFlight.set(file, abortController)
+    try {
+      await mkdir(dirname(outputFile), {recursive: true})
+      const result = await this.#minify.fileToFile(inputFile, outputFile, type, {...this.#jobOptions, signal: abortController.signal})
+      this.emit('minified', {file, ...result})
+    } catch (error) {
+      if (!(error instanceof AbortError)) throw error
+    } finally {
+      if (this.#inFlight.get(file) == abortController) this.#inFlight.delete(file)
+    }
+  }
+}
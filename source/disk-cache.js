@@ -0,0 +1,130 @@
+/*
+A content addressed disk cache of minified outputs, which can be shared by several processes. Entries are written to a temporary file which is then renamed into place (hence a reader never sees a partial entry) and the least recently used ones are evicted when the cache grows beyond its max size.
+*/
+
+import {createHash, randomBytes} from 'node:crypto'
+import {readFile, writeFile, mkdir, readdir, stat, rename, rm, utimes} from 'node:fs/promises'
+import {join} from 'node:path'
+import {parseSize} from './budgets.js'
+
+/** Temporary files older than this (in milliseconds) are left over by a crashed process. */
+const staleTempFileAge = 10 * 60 * 1000
+/** If the size wasn't checked for this many milliseconds a process checks it on its first write, even if it writes little (e.g. when many short-lived processes share the cache). */
+const evictionInterval = 60 * 60 * 1000
+/** Touched when the size is checked, its modification time tells when that was. */
+const evictionMarker = '.last-eviction'
+
+export class DiskCache {
+  #directory; #maxSize; #version
+  #bytesSinceEviction = 0; #checkedLastEviction = false; #evicting
+
+  /**
+   * @param {Object} options
+   * @param {string} options.dir The directory to store the entries in (it's created if needed).
+   * @param {string|number} [options.maxSize] The max size of the entries, e.g. `'500MB'`. Defaults to 100 MB.
+   * @param {string} options.version The version of the binary, part of every key.
+   */
+  constructor({dir, maxSize = '100MB', version}) {
+    if (typeof dir != 'string' || dir == '') throw TypeError('The cache needs a directory (dir) to store the entries in, got: '+dir)
+    this.#directory = dir
+    this.#maxSize = parseSize(maxSize)
+    this.#version = version
+  }
+
+  /**
+   * Get the key of an input.
+   * @param {string} type
+   * @param {Array.<string>} cliOptions The options given to the binary.
+   * @param {string|Buffer|Uint8Array} input
+   * @returns {string}
+   */
+  key(type, cliOptions, input) {
+    return createHash('sha256')
+      .update(JSON.stringify([this.#version, type, cliOptions])+'\0')
+      .update(input)
+      .digest('hex')
+  }
+
+  #path(key) {
+    return join(this.#directory, key.slice(0, 2), key)
+  }
+
+  /**
+   * Get the cached output, a failure to read it is treated as a miss.
+   * @param {string} key
+   * @returns {Promise.<Buffer|undefined>}
+   */
+  async get(key) {
+    const path = this.#path(key)
+    try {
+      const output = await readFile(path)
+      const now = new Date()
+      await utimes(path, now, now).catch(() => {}) // marks it as recently used
+      return output
+    } catch {}
+  }
+
+  /**
+   * Cache an output, a failure to write it is ignored (e.g. if another process is writing the same entry).
+   * @param {string} key
+   * @param {Buffer} output
+   */
+  async set(key, output) {
+    const path = this.#path(key)
+    const tempFile = path+'.'+process.pid+'.'+randomBytes(4).toString('hex')+'.tmp'
+    try {
+      await mkdir(join(this.#directory, key.slice(0, 2)), {recursive: true})
+      await writeFile(tempFile, output)
+      await rename(tempFile, path)
+    } catch {
+      await rm(tempFile, {force: true}).catch(() => {})
+      return
+    }
+    this.#bytesSinceEviction += output.byteLength
+    // the other processes also write to it, hence the size is checked when a tenth of the max size has been written
+    if (this.#bytesSinceEviction > this.#maxSize / 10) {
+      this.#startEviction()
+    } else if (!this.#checkedLastEviction) {
+      this.#checkedLastEviction = true
+      stat(join(this.#directory, evictionMarker)).then(
+        ({mtimeMs}) => Date.now() - mtimeMs > evictionInterval,
+        () => true
+      ).then(due => {if (due) this.#startEviction()})
+    }
+  }
+
+  /** Evict in the background (a job doesn't wait for it), unless already evicting. */
+  #startEviction() {
+    this.#evicting ??= this.#evict().catch(() => {}).finally(() => this.#evicting = undefined)
+  }
+
+  /** Remove the least recently used entries until the size is below 90% of the max size. */
+  async #evict() {
+    this.#bytesSinceEviction = 0
+    this.#checkedLastEviction = true
+    await writeFile(join(this.#directory, evictionMarker), '')
+    const entries = []
+    let totalSize = 0
+    for (const subdirectory of await readdir(this.#directory)) {
+      const names = await readdir(join(this.#directory, subdirectory)).catch(() => [])
+      for (const name of names) {
+        const path = join(this.#directory, subdirectory, name)
+        const stats = await stat(path).catch(() => undefined)
+        if (!stats?.isFile()) continue
+        if (name.endsWith('.tmp')) {
+          if (Date.now() - stats.mtimeMs > staleTempFileAge) await rm(path, {force: true})
+          continue
+        }
+        entries.push({path, size: stats.size, lastUsed: stats.mtimeMs})
+        totalSize += stats.size
+      }
+    }
+    if (totalSize <= this.#maxSize) return
+    entries.sort((a, b) => a.lastUsed - b.lastUsed)
+    for (const {path, size} of entries) {
+      if (totalSize <= this.#maxSize * 0.9) break
+      await rm(path, {force: true})
+      totalSize -= size
+    }
+  }
+}
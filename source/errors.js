@@ -0,0 +1,126 @@
+/** The amount of lines to show before and after the offending line in a code frame. */
+const contextLines = 2
+
+/**
+ * Render the lines surrounding a location in the source, marking the offending line and column.
+ * @param {string} source The input which was minified.
+ * @param {number} line 1-based line number.
+ * @param {number} [column] 1-based column number.
+ * @returns {string|undefined} The code frame or `undefined` if the line is outside of the source.
+ */
+export function codeFrame(source, line, column) {
+  const lines = source.split(/\r?\n/)
+  if (line < 1 || line > lines.length) return
+  const first = Math.max(1, line - contextLines)
+  const last = Math.min(lines.length, line + contextLines)
+  const gutterWidth = String(last).length
+  const frame = []
+  for (let i = first; i <= last; i++) {
+    const gutter = String(i).padStart(gutterWidth)+' | '
+    frame.push((i == line ? '> ' : '  ') + gutter + lines[i-1])
+    if (i == line && column > 0) {
+      const indent = lines[i-1].slice(0, column-1).replace(/[^\t]/g, ' ')
+      frame.push('  ' + ' '.repeat(gutterWidth)+' | ' + indent + '^')
+    }
+  }
+  return frame.join('\n')
+}
+
+/** Parse tdewolff's error output, e.g. `ERROR: cannot minify file.js: 3:14: unexpected }`. */
+function parseStderr(stderr) {
+  const firstLine = stderr.trim().split(/\r?\n/)[0]
+    .replace(/^(ERROR|WARNING):\s*/, '')
+    .replace(/^cannot minify\s*/, '')
+  let match = /^(?:(.*?):\s?)?(\d+):(\d+):\s*(.*)$/.exec(firstLine)
+  if (match) {
+    return {file: match[1], line: +match[2], column: +match[3], message: match[4]}
+  }
+  match = /^(?:(.*?):\s)?(.*) on line (\d+) and column (\d+)/.exec(firstLine)
+  if (match) {
+    return {file: match[1], line: +match[3], column: +match[4], message: match[2]}
+  }
+  return {message: firstLine}
+}
+
+/** The error a job rejects with when the minify process fails. Its `message` starts with a `file:line:column` location (when known) followed by a code frame of the offending input lines. */
+export class MinifyError extends Error {
+  /** @type {string} Path of the input file (if any). */ file
+  /** @type {number} Line of the error (if known). */ line
+  /** @type {number} Column of the error (if known). */ column
+  /** @type {string} The content type which was minified. */ type
+  /** @type {string} The error message without location or code frame. */ reason
+  /** @type {string} The code frame (if the input and location was known). */ codeFrame
+  /** @type {string} Everything the process wrote to stderr. */ stderr
+  /** @type {number|null} The exit code of the process. */ code
+  /** @type {string|null} The signal which terminated the process. */ signal
+
+  /**
+   * @param {string} stderr Everything the minify process wrote to stderr.
+   * @param {Object} details
+   * @param {number|null} [details.code] The exit code.
+   * @param {string|null} [details.signal] The signal which terminated the process.
+   * @param {string} [details.type] The content type which was minified.
+   * @param {string} [details.file] Path of the input file.
+   * @param {string} [details.source] The input, used to render the code frame.
+   */
+  constructor(stderr, {code = null, signal = null, type, file, source} = {}) {
+    const parsed = parseStderr(stderr)
+    if (!parsed.message) {
+      parsed.message = signal ? 'The minify process was terminated by '+signal : 'The minify process exited with code '+code
+    }
+    file = parsed.file || file
+    const frame = source !== undefined && parsed.line ? codeFrame(source, parsed.line, parsed.column) : undefined
+    let location = ''
+    if (parsed.line) location = (file || '<input>')+':'+parsed.line+':'+parsed.column+': '
+    else if (file) location = file+': '
+    super(location + parsed.message + (frame ? '\n'+frame : ''))
+    Object.assign(this, {
+      file, line: parsed.line, column: parsed.column, type,
+      reason: parsed.message, codeFrame: frame,
+      stderr, code, signal
+    })
+  }
+}
+MinifyError.prototype.name = 'MinifyError'
+
+/** The error a job rejects with when its `AbortSignal` is aborted. The reason given to `AbortController#abort` is set as its `cause`. */
+export class AbortError extends Error {
+  code = 'ABORT_ERR'
+  constructor(message = 'The minify job was aborted', options) {
+    super(message, options)
+  }
+}
+AbortError.prototype.name = 'AbortError'
+
+/** The error a job rejects with when it ran longer than its timeout (its process is then terminated). */
+export class TimeoutError extends Error {
+  code = 'ETIMEDOUT'
+  /** @param {number} timeout The timeout in milliseconds which was exceeded. */
+  constructor(timeout) {
+    super('The minify job timed out after '+timeout+' ms')
+    this.timeout = timeout
+  }
+}
+TimeoutError.prototype.name = 'TimeoutError'
+
+/** The error jobs reject with when the `Minify` controller is closed before they could finish. */
+export class ClosedError extends Error {
+  code = 'ERR_MINIFY_CLOSED'
+  constructor(message = 'The minify controller was closed') {
+    super(message)
+  }
+}
+ClosedError.prototype.name = 'ClosedError'
+
+/** The error thrown when minified files exceed their size budgets, `violations` lists every offending file with its actual and allowed size (in bytes) per exceeded limit (`'minified'`, `'gzip'` or `'brotli'`). */
+export class BudgetError extends Error {
+  code = 'ERR_MINIFY_BUDGET'
+  /** @param {Array.<{file: string, outputFile: string, budget: string, limit: string, actual: number, allowed: number}>} violations */
+  constructor(violations) {
+    super('Size budgets exceeded by '+new Set(violations.map(({file}) => file)).size+' file(s):\n'+violations.map(({file, budget, limit, actual, allowed}) =>
+      '  '+file+': the '+limit+' size is '+actual+' bytes, allowed is '+allowed+' ('+budget+')'
+    ).join('\n'))
+    this.violations = violations
+  }
+}
+BudgetError.prototype.name = 'BudgetError'
@@ -0,0 +1,64 @@
+/*
+A minimal glob implementation for matching relative paths (always using `/` as the separator). Supports `**`, `*`, `?`, `[...]` and `{a,b}`.
+*/
+
+/**
+ * Convert a glob into a regular expression matching the whole path.
+ * @param {string} glob E.g. `'**\/*.{js,css}'`.
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let regExp = '', braceDepth = 0
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    switch (char) {
+      case '*':
+        if (glob[i+1] == '*') { // globstar
+          i ++
+          if (glob[i+1] == '/') { // "**/" also matches no directory at all
+            i ++
+            regExp += '(?:.*/)?'
+          } else {
+            regExp += '.*'
+          }
+        } else {
+          regExp += '[^/]*'
+        }
+        break
+      case '?': regExp += '[^/]'; break
+      case '[': {
+        const end = glob.indexOf(']', i+1)
+        if (end == -1) {regExp += '\\['; break}
+        const set = glob.slice(i+1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')
+        regExp += '['+set+']'
+        i = end
+      } break
+      case '{': braceDepth ++; regExp += '(?:'; break
+      case '}':
+        if (braceDepth) {braceDepth --; regExp += ')'}
+        else regExp += '\\}'
+        break
+      case ',': regExp += braceDepth ? '|' : ','; break
+      default: regExp += char.replace(/[.+^$()|\\]/g, '\\$&')
+    }
+  }
+  return new RegExp('^'+regExp+'$')
+}
+
+/**
+ * Create a function testing if a relative path matches any of the patterns.
+ * @param {string|RegExp|function(string): boolean|Array} patterns Globs, regular expressions and/or functions.
+ * @returns {function(string): boolean}
+ */
+export function pathMatcher(patterns) {
+  const tests = [patterns].flat().map(pattern => {
+    if (typeof pattern == 'function') return pattern
+    if (pattern instanceof RegExp) return path => pattern.test(path)
+    if (typeof pattern == 'string') {
+      const regExp = globToRegExp(pattern)
+      return path => regExp.test(path)
+    }
+    throw TypeError('A path pattern must be a glob, RegExp or function, got: '+pattern)
+  })
+  return path => tests.some(test => test(path))
+}
@@ -0,0 +1,64 @@
+/*
+Content hashed file names (e.g. `app.3f9a1c2b.min.js`) for long-term caching of static assets, and the Subresource Integrity digests of files.
+*/
+
+import {createHash, getHashes} from 'node:crypto'
+import {basename, dirname, join} from 'node:path'
+
+/**
+ * Validate and normalize the `hashNames` option.
+ * @param {boolean|{algorithm: string, length: number}} [hashNames] `true` for the defaults or the hash `algorithm` (defaults to `'sha256'`) and/or the `length` of the hex digest to use (defaults to 8).
+ * @returns {{algorithm: string, length: number}|undefined} `undefined` if disabled.
+ */
+export function hashNameOptions(hashNames) {
+  if (!hashNames) return
+  const {algorithm = 'sha256', length = 8} = hashNames === true ? {} : hashNames
+  if (!getHashes().includes(algorithm)) throw TypeError('Unsupported hashNames algorithm: '+algorithm)
+  if (!(Number.isInteger(length) && length >= 4)) throw TypeError('The hashNames length must be an integer of at least 4, got: '+length)
+  return {algorithm, length}
+}
+
+/** The hex digest of the content, cut to the length wanted. */
+export function contentHash(content, {algorithm, length}) {
+  return createHash(algorithm).update(content).digest('hex').slice(0, length)
+}
+
+/**
+ * Insert the hash into the name of a file, before its extension (and before a `.min` preceding it). E.g. `app.min.js` becomes `app.3f9a1c2b.min.js`.
+ * @param {string} file
+ * @param {string} hash
+ * @returns {string}
+ */
+export function hashedName(file, hash) {
+  const [, name, extension = ''] = /^(.+?)((?:\.min)?\.[^.]+)?$/.exec(basename(file))
+  return join(dirname(file), name+'.'+hash+extension)
+}
+
+/** The hash algorithms allowed by the Subresource Integrity spec. */
+const integrityAlgorithms = ['sha256', 'sha384', 'sha512']
+
+/**
+ * Validate and normalize the `integrity` option.
+ * @param {boolean|string|Array.<string>|{algorithms: string|Array.<string>, inject: boolean, crossorigin: string}} [integrity] `true` for sha384, the algorithm(s) to use or an object also telling whether to `inject` the `integrity` (and `crossorigin`, defaults to `'anonymous'`) attributes into HTML.
+ * @returns {{algorithms: Array.<string>, inject: boolean, crossorigin: string}|undefined} `undefined` if disabled.
+ */
+export function integrityOptions(integrity) {
+  if (!integrity) return
+  const {algorithms = 'sha384', inject = false, crossorigin = 'anonymous'} = typeof integrity == 'object' && !Array.isArray(integrity) ? integrity : {algorithms: integrity === true ? undefined : integrity}
+  const algorithmList = [algorithms].flat()
+  for (const algorithm of algorithmList) {
+    if (!integrityAlgorithms.includes(algorithm)) throw TypeError('Unsupported integrity algorithm: '+algorithm+'. Valid algorithms are: '+integrityAlgorithms.join(', '))
+  }
+  if (!['anonymous', 'use-credentials'].includes(crossorigin)) throw TypeError("The crossorigin must be 'anonymous' or 'use-credentials', got: "+crossorigin)
+  return {algorithms: algorithmList, inject, crossorigin}
+}
+
+/**
+ * Get the Subresource Integrity metadata of the content, e.g. `sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC`.
+ * @param {string|Buffer|Uint8Array} content
+ * @param {Array.<string>} algorithms
+ * @returns {string} The digest per algorithm, separated by a space.
+ */
+export function integrityOf(content, algorithms) {
+  return algorithms.map(algorithm => algorithm+'-'+createHash(algorithm).update(content).digest('base64')).join(' ')
+}
@@ -0,0 +1,96 @@
+/*
+An in-memory LRU cache of minified outputs bounded by their size in bytes, which also lets identical requests share the job in progress.
+*/
+
+import {createHash} from 'node:crypto'
+import {AbortError} from './errors.js'
+import {parseSize} from './budgets.js'
+
+export class MemoryCache {
+  #maxSize; #size = 0
+  #entries = new Map() // in the order least to most recently used
+  #inFlight = new Map()
+  #hits = 0; #misses = 0; #deduplicated = 0
+
+  /**
+   * @param {Object} [options]
+   * @param {string|number} [options.maxSize] The max size of the outputs kept, e.g. `'50MB'`. Defaults to 50 MB.
+   */
+  constructor({maxSize = '50MB'} = {}) {
+    this.#maxSize = parseSize(maxSize)
+  }
+
+  /** Get the key of an input. */
+  key(type, input) {
+    return createHash('sha256').update(type+'\0').update(input).digest('base64')
+  }
+
+  /**
+   * Get the cached output (counting the hit or miss).
+   * @param {string} key
+   * @returns {Buffer|undefined}
+   */
+  get(key) {
+    const output = this.#entries.get(key)
+    if (output === undefined) {
+      this.#misses ++
+      return
+    }
+    this.#hits ++
+    this.#entries.delete(key) // to make it the most recently used
+    this.#entries.set(key, output)
+    return output
+  }
+
+  /** Cache an output, evicting the least recently used ones if needed. Outputs larger than the max size aren't cached. */
+  set(key, output) {
+    if (output.byteLength > this.#maxSize) return
+    if (this.#entries.has(key)) this.#size -= this.#entries.get(key).byteLength
+    this.#entries.delete(key)
+    this.#entries.set(key, output)
+    this.#size += output.byteLength
+    for (const [oldKey, oldOutput] of this.#entries) {
+      if (this.#size <= this.#maxSize) break
+      this.#entries.delete(oldKey)
+      this.#size -= oldOutput.byteLength
+    }
+  }
+
+  /**
+   * Share the job in progress for a key, or else run it. Every caller can abort its own request, the job itself is only aborted when all of them did.
+   * @param {string} key
+   * @param {AbortSignal} [signal] The signal of the caller.
+   * @param {function(AbortSignal): Promise} run Runs the job, which should be aborted by the signal given.
+   * @returns {Promise} Settles like the job, or rejects with an `AbortError` if the caller aborted.
+   */
+  shared(key, signal, run) {
+    let flight = this.#inFlight.get(key)
+    if (flight) {
+      this.#deduplicated ++
+    } else {
+      const abortController = new AbortController()
+      const newFlight = {abortController, callers: 0}
+      newFlight.forget = () => {if (this.#inFlight.get(key) == newFlight) this.#inFlight.delete(key)}
+      newFlight.promise = run(abortController.signal).finally(newFlight.forget)
+      this.#inFlight.set(key, flight = newFlight)
+    }
+    flight.callers ++
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(new AbortError(undefined, {cause: signal.reason}))
+        if (--flight.callers == 0) {
+          flight.forget() // right away, hence a new request doesn't join the aborted job
+          flight.abortController.abort(signal.reason)
+        }
+      }
+      if (signal?.aborted) return onAbort()
+      signal?.addEventListener('abort', onAbort, {once: true})
+      flight.promise.then(resolve, reject).finally(() => signal?.removeEventListener('abort', onAbort))
+    })
+  }
+
+  /** @returns {{hits: number, misses: number, deduplicated: number, entries: number, size: number}} Where `deduplicated` is the number of requests which shared a job in progress and `size` is the bytes cached. */
+  stats() {
+    return {hits: this.#hits, misses: this.#misses, deduplicated: this.#deduplicated, entries: this.#entries.size, size: this.#size}
+  }
+}
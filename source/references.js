@@ -0,0 +1,183 @@
+/*
+Rewrites the references to other files (`href`, `src`, `srcset`, `url()` and `@import`) in HTML and CSS, e.g. after the files were renamed by a directory run. And injects the `integrity` of the files referenced by `<script>` and `<link>` tags.
+*/
+
+import {posix} from 'node:path'
+
+/** Matches a `script` or `style` element (to handle their content) or else any start tag. */
+const tagOrRawText = /(<script\b(?:"[^"]*"|'[^']*'|[^'">])*>)([^]*?)(<\/script\s*>)|(<style\b(?:"[^"]*"|'[^']*'|[^'">])*>)([^]*?)(<\/style\s*>)|<[a-z][^\s/>]*(?:"[^"]*"|'[^']*'|[^'">])*>/gi
+/** Matches an attribute with a value, in a tag. */
+const attributePattern = /(\s)([^\s"'>/=]+)(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g
+
+/** The HTML attributes referencing a single file. */
+const referenceAttributes = ['href', 'src', 'poster', 'data', 'action', 'formaction', 'xlink:href']
+
+/**
+ * Rewrite the references in HTML or CSS using a mapping of old to new paths. References are resolved relative to the file they're in, or to the root of the mapping if they start with a `/`. External references (e.g. `https:`, `data:` or `//example.com`), fragments, queries and directories (e.g. `/` or `docs/`) are left alone.
+ * @param {string} type `'html'` or `'css'`, any other type is returned unchanged.
+ * @param {string} code The HTML or CSS.
+ * @param {Object} [options]
+ * @param {string} [options.file] The path of the file (relative to the root of the mapping, using `/` as separator) the references are resolved from.
+ * @param {string} [options.newFile] Its new path, if it was moved relative references are adjusted. Defaults to `file`.
+ * @param {Object.<string, string>} [options.mapping] Old paths mapped to new paths, relative to the same root (e.g. `{'js/app.js': 'js/app.3f9a1c2b.min.js'}`).
+ * @param {function(string): boolean} [options.exists] Tells if a path not in the mapping exists (those are left alone, e.g. a file or a directory), else the reference is reported as unresolved. References to the file itself always resolve.
+ * @returns {{code: string, rewritten: number, unresolved: Array.<string>}} The code with the references rewritten, the number rewritten and the references which couldn't be resolved.
+ */
+export function rewriteReferences(type, code, {file = '', newFile = file, mapping = {}, exists = () => false} = {}) {
+  const normalizedMapping = new Map(Object.entries(mapping).map(([from, to]) => [normalize(from), normalize(to)]))
+  const result = {code, rewritten: 0, unresolved: []}
+  const rewrite = reference => {
+    const newReference = rewriteReference(reference, file, newFile, normalizedMapping, exists)
+    if (newReference === undefined) result.unresolved.push(reference)
+    else if (newReference != reference) result.rewritten ++
+    return newReference ?? reference
+  }
+  if (type == 'html') result.code = rewriteHtml(code, rewrite)
+  else if (type == 'css') result.code = rewriteCss(code, rewrite)
+  return result
+}
+
+/**
+ * Get the files referenced by HTML or CSS, external references are left out (see `rewriteReferences()`).
+ * @param {string} type `'html'` or `'css'`.
+ * @param {string} code
+ * @param {string} [file] The path of the file the references are resolved from.
+ * @returns {Set.<string>} The paths relative to the root, using `/` as separator.
+ */
+export function referencedFiles(type, code, file = '') {
+  const files = new Set()
+  const collect = reference => {
+    const resolved = resolveReference(reference, file)
+    if (resolved) files.add(resolved.target)
+    return reference
+  }
+  if (type == 'html') rewriteHtml(code, collect)
+  else if (type == 'css') rewriteCss(code, collect)
+  return files
+}
+
+/** Strip a leading `/` or `./` from a path of a mapping. */
+function normalize(path) {
+  return posix.normalize(path.replace(/^\/+/, ''))
+}
+
+/**
+ * Get the new reference to use.
+ * @returns {string|undefined} `undefined` if it couldn't be resolved.
+ */
+function rewriteReference(reference, file, newFile, mapping, exists) {
+  const resolved = resolveReference(reference, file)
+  if (resolved === null) return reference
+  if (!resolved) return
+  const {target, absolute, suffix} = resolved
+  let newTarget = mapping.get(target)
+  if (newTarget === undefined && target == file && file != newFile) newTarget = newFile // a reference to itself
+  if (newTarget === undefined) {
+    if (target != file && !exists(target)) return
+    if (absolute || file == newFile) return reference
+  }
+  if (absolute) return '/'+(newTarget ?? target)+suffix
+  return (posix.relative(posix.dirname(newFile), newTarget ?? target) || posix.basename(target))+suffix
+}
+
+/**
+ * Resolve a reference to the path of the file it's referencing.
+ * @returns {{target: string, absolute: boolean, suffix: string}|null|undefined} `null` if it's external, a fragment, only a query or a directory (e.g. `/` or `docs/`) and `undefined` if it's outside of the root. The `suffix` is the query and fragment.
+ */
+function resolveReference(reference, file) {
+  if (reference.trim() == '' || reference.startsWith('#') || reference.startsWith('//') || /^[a-z][a-z\d+.-]*:/i.test(reference)) return null
+  const [, path, suffix] = /^([^?#]*)(.*)$/s.exec(reference)
+  if (/(?:^|\/)(?:\.\.?)?$/.test(path)) return null // e.g. '', '/', 'docs/' or '..'
+  const absolute = path.startsWith('/')
+  const target = posix.normalize(absolute ? path.slice(1) : posix.join(posix.dirname(file), path))
+  if (target.startsWith('../')) return
+  return {target, absolute, suffix}
+}
+
+/** Rewrite the references in the tags (and `style` elements) of the HTML, the content of `script` elements is skipped. */
+function rewriteHtml(html, rewrite) {
+  return html.replace(tagOrRawText, (match, scriptTag, script, scriptEnd, styleTag, style, styleEnd) => {
+    if (scriptTag) return rewriteTag(scriptTag, rewrite)+script+scriptEnd
+    if (styleTag) return rewriteTag(styleTag, rewrite)+rewriteCss(style, rewrite)+styleEnd
+    return rewriteTag(match, rewrite)
+  })
+}
+
+function rewriteTag(tag, rewrite) {
+  return tag.replace(attributePattern, (match, space, name, equals, doubleQuoted, singleQuoted, unquoted) => {
+    const value = doubleQuoted ?? singleQuoted ?? unquoted
+    const quote = doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : ''
+    let newValue
+    switch (name.toLowerCase()) {
+      case 'srcset': newValue = rewriteSrcset(value, rewrite); break
+      case 'style': newValue = rewriteCss(value, rewrite); break
+      default:
+        if (!referenceAttributes.includes(name.toLowerCase())) return match
+        newValue = rewrite(value)
+    }
+    if (newValue == value) return match
+    if (!quote && /[\s"'=<>`]/.test(newValue)) return space+name+equals+'"'+newValue.replaceAll('"', '&quot;')+'"'
+    return space+name+equals+quote+newValue+quote
+  })
+}
+
+/** Rewrite the URL of every candidate of a `srcset`, e.g. `a.png 1x, b.png 2x`. */
+function rewriteSrcset(srcset, rewrite) {
+  return srcset.replace(/(^|,)(\s*)([^\s,]+)/g, (_match, comma, space, url) => comma+space+rewrite(url))
+}
+
+function rewriteCss(css, rewrite) {
+  return css
+    .replace(/(url\(\s*)(?:"([^"]*)"|'([^']*)'|([^)"'\s]*))(\s*\))/gi, (match, start, doubleQuoted, singleQuoted, unquoted, end) => {
+      const url = doubleQuoted ?? singleQuoted ?? unquoted
+      const quote = doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : ''
+      const newUrl = rewrite(url)
+      return newUrl == url ? match : start+quote+newUrl+quote+end
+    })
+    .replace(/(@import\s*)(?:"([^"]*)"|'([^']*)')/gi, (match, start, doubleQuoted, singleQuoted) => {
+      const url = doubleQuoted ?? singleQuoted
+      const quote = doubleQuoted !== undefined ? '"' : "'"
+      const newUrl = rewrite(url)
+      return newUrl == url ? match : start+quote+newUrl+quote
+    })
+}
+
+/**
+ * Add the `integrity` and `crossorigin` attributes to the `<script src>` and `<link href>` tags (with a `rel` of stylesheet, preload or modulepreload) referencing the files with a known integrity. Tags which already have an `integrity` are left alone.
+ * @param {string} html
+ * @param {Object} options
+ * @param {string} options.file The path of the HTML file (relative to the root of the paths with an integrity, using `/` as separator).
+ * @param {Map.<string, string>} options.integrities The integrity metadata of files by their path.
+ * @param {string} [options.crossorigin] Defaults to `'anonymous'`.
+ * @returns {{code: string, injected: number}} The HTML and the number of tags injected into.
+ */
+export function injectIntegrity(html, {file, integrities, crossorigin = 'anonymous'}) {
+  const result = {code: html, injected: 0}
+  result.code = html.replace(tagOrRawText, (match, scriptTag, script, scriptEnd, styleTag) => {
+    if (styleTag) return match
+    const tag = scriptTag ?? match
+    const [, name] = /^<([^\s/>]+)/.exec(tag)
+    const attributes = {}
+    for (const [, , attribute, , doubleQuoted, singleQuoted, unquoted] of tag.matchAll(attributePattern)) {
+      attributes[attribute.toLowerCase()] ??= doubleQuoted ?? singleQuoted ?? unquoted
+    }
+    let reference
+    if (name.toLowerCase() == 'script') reference = attributes.src
+    else if (name.toLowerCase() == 'link' && /(?:^|\s)(?:stylesheet|preload|modulepreload)(?:\s|$)/i.test(attributes.rel ?? '')) reference = attributes.href
+    if (reference === undefined || hasAttribute(tag, 'integrity')) return match
+    const resolved = resolveReference(reference, file)
+    const integrity = resolved && integrities.get(resolved.target)
+    if (!integrity) return match
+    result.injected ++
+    const injected = ' integrity="'+integrity+'"'+(hasAttribute(tag, 'crossorigin') ? '' : ' crossorigin="'+crossorigin+'"')
+    const newTag = tag.replace(/\s*\/?>$/, end => injected+end)
+    return scriptTag ? newTag+script+scriptEnd : newTag
+  })
+  return result
+}
+
+/** Tells if the tag has the attribute, with or without a value (e.g. a bare `crossorigin`). */
+function hasAttribute(tag, name) {
+  const withoutValues = tag.replace(/"[^"]*"|'[^']*'/g, '""') // hence a value can't be mistaken for an attribute
+  return new RegExp('\\s'+name+'(?=[\\s=/>])', 'i').test(withoutValues)
+}
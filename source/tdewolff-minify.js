@@ -4,14 +4,41 @@ https://github.com/tdewolff/minify/tree/master/cmd/minify
 */
 
 export {getLatestRelease as updateMinify} from './minifyDownloader/minifyDownloader.js'
-import {existsSync, accessSync, constants} from 'node:fs'
-import {extname, resolve} from 'node:path'
+export {rewriteReferences} from './references.js'
+export {MinifyError, AbortError, TimeoutError, ClosedError, BudgetError} from './errors.js'
+import {cliOptionsFromObjects} from './cli-options.js'
+import {listFiles, fileSelector} from './directory-files.js'
+import {TypeResolver, sniffType} from './content-types.js'
+import {DirectoryWatcher} from './directory-watcher.js'
+import {compressedSizes, precompressOptions, writePrecompressed} from './compression.js'
+import {compileBudgets, checkBudgets} from './budgets.js'
+import {hashNameOptions, contentHash, hashedName, integrityOptions, integrityOf} from './hash-names.js'
+import {rewriteReferences, referencedFiles, injectIntegrity} from './references.js'
+import {DiskCache} from './disk-cache.js'
+import {MemoryCache} from './memory-cache.js'
+import {MinifyError, AbortError, TimeoutError, ClosedError, BudgetError} from './errors.js'
+import {existsSync, accessSync, readFileSync, statSync, constants} from 'node:fs'
+import {mkdtemp, mkdir, writeFile, copyFile, readFile, readdir, rename, rm, stat, open} from 'node:fs/promises'
+import {resolve, join, dirname, basename, relative, sep, posix} from 'node:path'
 import {EventEmitter} from 'node:events'
-import {Duplex} from 'node:stream'
-import {spawn} from 'node:child_process'
-import {cpus} from 'node:os'
+import {Duplex, PassThrough} from 'node:stream'
+import {spawn, spawnSync} from 'node:child_process'
+import {randomBytes} from 'node:crypto'
+import {cpus, tmpdir} from 'node:os'
 const moduleDirectory = import.meta.url.slice(7, import.meta.url.lastIndexOf('/')+1)
 const numCores = cpus().length
+/** Milliseconds a process gets to exit after SIGTERM before it's killed with SIGKILL. */
+const killGracePeriod = 2000
+/** The longest timeout (in milliseconds) supported by `setTimeout`. */
+const maxTimeout = 2**31 - 1
+const outputModes = ['string', 'buffer']
+const defaultTypes = new TypeResolver()
+let binaryVersionTag = {modified: null} // and the modification time of the file it was read from
+/** The minify processes which haven't exited yet, they're killed if Node.js exits before them. */
+const liveProcesses = new Set()
+process.once('exit', () => {
+  for (const minify of liveProcesses) minify.kill()
+})
 
 /** The path to the minify binary. This can be used together with Node.js's `child_process` module to run the minifier manually (it will be useful to read the [CLI documentation](https://github.com/tdewolff/minify/tree/master/cmd/minify#usage) first). */
 export const minifyPath = resolve(moduleDirectory+'../minify' + (process.platform == "win32" ? '.exe' : ''))
@@ -26,31 +53,100 @@ try {
   throw Error('No execute persmission is set on the minify binary at location: '+minifyPath+'\n Please fix this.')
 }
 
-/** Create a new minify controller and optionally change the max amount of concurrent minify processes spawned by it (defaults to 4) and/or add custom CLI options to be forwarded.
+/** Create a new minify controller and optionally change the max amount of concurrent minify processes spawned by it (defaults to the number of processor cores), set per-language options and/or add custom CLI options to be forwarded.
+ * 
+ * It emits `idle` when no jobs are queued or running anymore and the lifecycle events `jobQueued`, `jobStart`, `jobEnd` (when successful) and `jobError` (when not, with the `error` included) of every job. They come with an object having the `id`, `type`, `inputSize` and `outputSize` (in bytes, if known) and the `duration` (in milliseconds, when ended) of the job.
  */
 export class Minify extends EventEmitter {
-  #workerRunning = false; #workerWaiting = false
-  #maxConcurrency; #runningJobs = 0; #jobQueue = []
-  #customCliOptions
+  #workerRunning = false; #workerWaiting = false; #paused = false
+  #maxConcurrency; #runningJobs = 0; #jobQueue = []; #activeJobs = new Set()
+  #closed = false
+  #cliOptions; #timeout; #types; #budgets
+  #batch; #stagedJobs = []; #batchTimer
+  #lastJobId = 0; #stats = {queuedJobs: 0, runningJobs: 0, totals: newTotals(), types: {}}
+  #diskCache; #diskCacheStats = {hits: 0, misses: 0}; #memoryCache
+  #pendingWork = new Set(); #watchers = new Set(); #sizing = Promise.resolve()
 
   /**
    * @param {Object} [options] Optional options to pass. 
    * @param {number} [options.maxConcurrency] The max amount of concurrent minify processes. Defaults to the number of processor cores on your system.
+   * @param {{keepComments, keepConditionalComments, keepDefaultAttrVals, keepDocumentTags, keepEndTags, keepQuotes, keepSpecialComments, keepWhitespace: boolean}} [options.html] HTML options.
+   * @param {{precision, version: number}} [options.css] CSS options, `precision` is the number of significant digits to preserve (0 means all).
+   * @param {{precision: number, keepVarNames: boolean, version: number}} [options.js] JavaScript options, `version` is the ECMAScript version to target (e.g. 2015, 0 means latest).
+   * @param {{keepComments: boolean, precision: number}} [options.svg] SVG options.
+   * @param {{keepWhitespace: boolean}} [options.xml] XML options.
+   * @param {{precision: number, keepNumbers: boolean}} [options.json] JSON options.
    * @param {Array.<string>} [options.customCliOptions] Additional CLI options, see [CLI documentation](https://github.com/tdewolff/minify/tree/master/cmd/minify#usage).
+   * @param {number} [options.timeout] The default max amount of milliseconds a job may run before its process is killed and it rejects with a `TimeoutError`, at most 2147483647. Defaults to no timeout (0 or `Infinity`).
+   * @param {Object.<string, string>} [options.extensions] File extensions mapped to the type to use for them (in addition to the defaults), e.g. `{tpl: 'html'}`. See `setExtensionType()`.
+   * @param {function(string): string} [options.resolveType] Called with the path of a file with an unknown extension, it can return the type to use for it.
+   * @param {Object.<string, {maxMinified: string|number, maxGzip: string|number, maxBrotli: string|number}>} [options.budgets] Size budgets for the files written by `fileToFile()` and `directory()` (and what builds on them), per glob or type. E.g. `{'**\/*.js': {maxMinified: '200kB', maxGzip: '60kB'}, css: {maxMinified: 50000}}`, where kB is 1000 bytes (use KiB for 1024). Globs are matched against the input path (relative to the source directory in a directory run), and the gzip and brotli sizes are those at the max levels. Exceeding a budget rejects with a `BudgetError`.
+   * @param {{dir: string, maxSize: string|number}} [options.cache] Cache the outputs of `content()`, `file()` and `fileToFile()` (and what builds on them) on disk, in the directory `dir`. They're keyed by a hash of the input, its type, the CLI options and the version of the minify binary. When the cache grows beyond `maxSize` (e.g. `'500MB'`, defaults to 100 MB) the least recently used entries are removed. Several processes can share the same cache directory.
+   * @param {boolean|{maxSize: string|number}} [options.memoryCache] Keep the outputs of `content()` in memory, evicting the least recently used ones when their size exceeds `maxSize` (e.g. `'10MB'`, defaults to 50 MB). Identical requests made while one is in progress share its job, which runs with the `timeout` and `priority` of the first one (but each can be aborted on its own). Meant for long-running servers minifying the same content over and over.
+   * @param {boolean|{size: number, delay: number}} [options.batch] Stage the jobs of `content()` and `file()` in a temporary directory and minify each batch of them using a single minify process, this saves the process spawn overhead when minifying many small inputs. Set it to `true` for the defaults or give the max amount of jobs per batch (`size`, defaults to 100) and/or the milliseconds to wait for more jobs before running a batch (`delay`, defaults to 10). In batch mode the timeout of the controller applies to each batch and a batch gets the highest priority of its jobs.
    */
-  constructor({maxConcurrency = numCores, customCliOptions = []} = {}) {
+  constructor({maxConcurrency = numCores, html, css, js, svg, xml, json, customCliOptions = [], timeout = 0, extensions, resolveType, budgets, cache, memoryCache, batch = false} = {}) {
     super() // init the EventEmitter
-    this.#maxConcurrency = maxConcurrency
-    this.#customCliOptions = customCliOptions
+    this.#types = new TypeResolver({extensions, fallback: resolveType})
+    this.#budgets = compileBudgets(budgets)
+    if (cache) {
+      const {mtimeMs, size} = statSync(minifyPath) // tells the binaries apart if the version is unknown
+      this.#diskCache = new DiskCache({...cache, version: binaryVersion() ?? size+'-'+mtimeMs})
+    }
+    if (memoryCache) this.#memoryCache = new MemoryCache(memoryCache === true ? {} : memoryCache)
+    timeout = validTimeout(timeout)
+    if (batch) {
+      const {size = 100, delay = 10} = batch === true ? {} : batch
+      if (!(Number.isInteger(size) && size > 0)) throw TypeError('The batch size must be a positive integer, got: '+size)
+      if (!(delay >= 0)) throw TypeError('The batch delay must be a non-negative number of milliseconds, got: '+delay)
+      this.#batch = {size, delay}
+    }
+    this.setMaxConcurrency(maxConcurrency)
+    this.#timeout = timeout
+    this.#cliOptions = [...cliOptionsFromObjects({html, css, js, svg, xml, json}), ...customCliOptions]
+  }
+
+  /**
+   * Map a file extension to the type to use for files with it. By default these are known: html, htm, xhtml, css, js, mjs, cjs, json, jsonld, webmanifest, geojson, svg, xml, rss, atom and xsl.
+   * @param {string} extension E.g. `'tpl'`.
+   * @param {string} type A type (e.g. `'html'`), MIME type or another known extension.
+   */
+  setExtensionType(extension, type) {
+    this.#types.setExtensionType(extension, type)
+  }
+
+  /**
+   * Resolve the type given to a method, or if none then the type of the file.
+   * @param {string} [type] A type (e.g. `'html'`), MIME type (e.g. `'text/html'`) or known file extension.
+   * @param {string} [filePath]
+   * @returns {string} The type to pass to minify, throws if it's unknown.
+   */
+  #resolveType(type, filePath) {
+    if (type) {
+      const resolved = this.#types.type(type)
+      if (!resolved) throw Error("Unknown type: "+type+". Valid types are html, css, js, json, svg and xml (or their MIME types and file extensions).")
+      return resolved
+    }
+    if (filePath === undefined) throw Error("The type ('js', 'html', etc) needs to be specified, got: "+type)
+    const resolved = this.#types.fileType(filePath)
+    if (!resolved) throw Error("The type of the file to minify is unknown from its extension, hence the type needs to be specified manually (or set to 'auto', or mapped using setExtensionType). File: "+filePath)
+    return resolved
+  }
+
+  /** Get the type of the input by sniffing it, throws if there's nothing to go by. */
+  #sniffType(source, file) {
+    const type = sniffType(decodeSource(source))
+    if (!type) throw Error('Could not detect the type of '+(file ?? 'the content')+', hence it needs to be specified manually.')
+    return type
   }
 
   async #worker() {
     this.#workerRunning = true
     while (this.#jobQueue.length) {
-      if (this.#runningJobs < this.#maxConcurrency) {
-        const jobRunner = this.#jobQueue.shift()
-        jobRunner() // run it, don't worry it's async
-      } else { // we need to wait for a job to finish first
+      if (!this.#paused && this.#runningJobs < this.#maxConcurrency) {
+        const job = this.#jobQueue.shift()
+        job.run() // run it, don't worry it's async
+      } else { // we need to wait for a job to finish first (or to be resumed)
         this.#workerWaiting = true
         await new Promise(resolve => this.once('stopWaiting', resolve))
         this.#workerWaiting = false
@@ -59,156 +155,1159 @@ export class Minify extends EventEmitter {
     this.#workerRunning = false
   }
 
-  #pushJob(jobFunction) {
-    let jobResolve, jobReject
+  /** Emit `idle` if no jobs are queued, staged or running (and no work around them is pending). */
+  #emitIfIdle() {
+    if (this.#jobQueue.length || this.#stagedJobs.length || this.#runningJobs || this.#pendingWork.size) return
+    this.emit('idle')
+  }
+
+  /** Count the work done around the jobs (e.g. a cache lookup, renaming the output or writing the compressed copies) as pending until the promise settles, hence `onIdle()` and `close()` wait for it. */
+  #track(promise) {
+    this.#pendingWork.add(promise)
+    const settled = () => {
+      this.#pendingWork.delete(promise)
+      this.#emitIfIdle()
+    }
+    promise.then(settled, settled)
+    return promise
+  }
+
+  /** Stop starting queued jobs (running jobs are not affected) until `resume()` is called. */
+  pause() {
+    this.#paused = true
+  }
+
+  /** Start running queued jobs again after `pause()`. */
+  resume() {
+    this.#paused = false
+    if (this.#workerWaiting) this.emit('stopWaiting')
+  }
+
+  /** `true` while paused. */
+  get paused() {
+    return this.#paused
+  }
+
+  /**
+   * Change the max amount of concurrent minify processes. If lowered then running jobs are allowed to finish.
+   * @param {number} maxConcurrency A positive integer, or `Infinity` for no limit.
+   */
+  setMaxConcurrency(maxConcurrency) {
+    if (!((Number.isInteger(maxConcurrency) && maxConcurrency > 0) || maxConcurrency === Infinity)) throw TypeError('The maxConcurrency must be a positive integer or Infinity, got: '+maxConcurrency)
+    this.#maxConcurrency = maxConcurrency
+    if (this.#workerWaiting) this.emit('stopWaiting')
+  }
+
+  /** The max amount of concurrent minify processes. */
+  get maxConcurrency() {
+    return this.#maxConcurrency
+  }
+
+  /**
+   * Wait until no jobs are queued or running, including the work around them (e.g. renaming or compressing the outputs). Note that it doesn't resolve while paused with jobs in the queue.
+   * @returns {Promise} A promise which resolves when idle (right away if it already is).
+   */
+  onIdle() {
+    if (!this.#jobQueue.length && !this.#stagedJobs.length && !this.#runningJobs && !this.#pendingWork.size) return Promise.resolve()
+    return new Promise(resolve => this.once('idle', resolve))
+  }
+
+  /** An alias of `onIdle()`. */
+  drain() {
+    return this.onIdle()
+  }
+
+  /**
+   * Close the controller. It will then reject any new jobs, and the queued ones, with a `ClosedError`. The watchers created by `watch()` are closed.
+   * @param {Object} [options]
+   * @param {boolean} [options.force] Kill the processes of the running jobs (which then reject with a `ClosedError`) instead of waiting for them to finish.
+   * @returns {Promise} A promise which resolves when no jobs are running anymore.
+   */
+  close({force = false} = {}) {
+    this.#closed = true
+    clearTimeout(this.#batchTimer)
+    for (const watcher of this.#watchers) watcher.close()
+    for (const job of this.#stagedJobs.splice(0)) job.reject(new ClosedError())
+    for (const queued of [...this.#jobQueue]) queued.cancel(new ClosedError())
+    if (force) {
+      for (const queued of [...this.#activeJobs]) queued.cancel(new ClosedError())
+    }
+    return this.onIdle()
+  }
+
+  /** `true` after `close()` was called. */
+  get closed() {
+    return this.#closed
+  }
+
+  /** Allows `await using minify = new Minify()`, it will then be closed (waiting for running jobs) when leaving the scope. */
+  [Symbol.asyncDispose ?? Symbol.for('nodejs.asyncDispose')]() {
+    return this.close()
+  }
+
+  /** Create the record of a job (used for its lifecycle events and the statistics) and emit `jobQueued`. */
+  #newJob(type, inputSize) {
+    const job = {id: ++this.#lastJobId, type, inputSize}
+    this.#stats.queuedJobs ++
+    this.emit('jobQueued', jobInfo(job))
+    return job
+  }
+
+  /**
+   * Get the size of a file for the record of its job (hence it's in the `jobQueued` event) and then queue the job, the jobs are still queued in the order requested.
+   * @param {string} file
+   * @param {function(number): Promise} queueJob Called with the size (`undefined` if unknown).
+   */
+  #queueSized(file, queueJob) {
+    const size = fileSize(file)
+    const sized = this.#sizing = this.#sizing.then(() => size)
+    return this.#track(sized.then(queueJob))
+  }
+
+  #startJob(job) {
+    if (job.batch) return job.batch.forEach(job => this.#startJob(job))
+    if (job.ended) return // e.g. aborted while its batch was queued
+    job.startTime = performance.now()
+    this.#stats.queuedJobs --
+    this.#stats.runningJobs ++
+    this.emit('jobStart', jobInfo(job))
+  }
+
+  #endJob(job, error, result) {
+    if (job.batch || job.ended) return
+    job.ended = true
+    if (job.startTime === undefined) {
+      job.duration = 0
+      this.#stats.queuedJobs --
+    } else {
+      job.duration = performance.now() - job.startTime
+      this.#stats.runningJobs --
+    }
+    if (!error && job.outputSize === undefined) job.outputSize = byteLength(result)
+    this.#stats.types[job.type] ??= newTotals()
+    for (const totals of [this.#stats.totals, this.#stats.types[job.type]]) {
+      totals.duration += job.duration
+      if (error) {
+        totals.failedJobs ++
+      } else {
+        totals.completedJobs ++
+        if (job.inputSize !== undefined && job.outputSize !== undefined) {
+          totals.inputBytes += job.inputSize
+          totals.outputBytes += job.outputSize
+        }
+      }
+    }
+    if (error) this.emit('jobError', {...jobInfo(job), error})
+    else this.emit('jobEnd', jobInfo(job))
+  }
+
+  /**
+   * Get a snapshot of the statistics of this controller. Byte counts only include the successful jobs where both sizes were known, the outputs taken from a cache aren't counted as jobs.
+   * @returns {{queuedJobs: number, runningJobs: number, completedJobs: number, failedJobs: number, inputBytes: number, outputBytes: number, bytesSaved: number, duration: number, types: Object.<string, Object>, diskCache: {hits: number, misses: number}, memoryCache: {hits: number, misses: number, deduplicated: number, entries: number, size: number}}} Where `types` has the totals (`completedJobs` to `duration`) per content type. The `diskCache` and `memoryCache` counts are only there if they're enabled, `deduplicated` counts the requests which shared a job in progress.
+   */
+  stats() {
+    const withSavings = totals => ({...totals, bytesSaved: totals.inputBytes - totals.outputBytes})
+    const types = {}
+    for (const [type, totals] of Object.entries(this.#stats.types)) {
+      types[type] = withSavings(totals)
+    }
+    return {
+      queuedJobs: this.#stats.queuedJobs,
+      runningJobs: this.#stats.runningJobs,
+      ...withSavings(this.#stats.totals),
+      types,
+      ...(this.#diskCache && {diskCache: {...this.#diskCacheStats}}),
+      ...(this.#memoryCache && {memoryCache: this.#memoryCache.stats()})
+    }
+  }
+
+  /**
+   * Take the output of a job from the disk cache, or else run the job and cache its output.
+   * @param {string} type
+   * @param {string|Uint8Array} input
+   * @param {Object} options The options of the job, checked for a `signal`.
+   * @param {function(): Promise} run Runs the job.
+   * @param {function(*): Promise.<Buffer>|Buffer} outputOf Gets the output from the result of the job.
+   * @param {function(Buffer): Promise|*} fromCache Gets the result from the cached output.
+   */
+  async #cached(type, input, {signal}, run, outputOf, fromCache) {
+    if (this.#closed) throw new ClosedError()
+    if (signal?.aborted) throw new AbortError(undefined, {cause: signal.reason})
+    const key = this.#diskCache.key(type, this.#cliOptions, input)
+    const cached = await this.#diskCache.get(key)
+    if (cached) {
+      this.#diskCacheStats.hits ++
+      return fromCache(cached)
+    }
+    this.#diskCacheStats.misses ++
+    const result = await run()
+    await this.#diskCache.set(key, await outputOf(result))
+    return result
+  }
+
+  /**
+   * Queue a job. The job function works like a promise executor, it should set `job.process` to the spawned minify process so that it can be killed if the job is aborted or times out.
+   * @param {Object} job The record from `#newJob` (or `{batch: jobs}` for a batch).
+   * @param {function(function, function)} jobFunction
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Removes the job from the queue or kills its process when aborted.
+   * @param {number} [options.timeout] Overrides the timeout of the controller, 0 (or `Infinity`) disables it.
+   * @param {number} [options.priority] Jobs with a higher priority are run first, equal priorities run in the order queued. Defaults to 0.
+   */
+  #pushJob(job, jobFunction, {signal, timeout = this.#timeout, priority = 0} = {}) {
+    let jobResolve, jobReject, stopRunning
     const jobDonePromise = new Promise((resolve, reject) => {
-      jobResolve = resolve
-      jobReject = reject
+      jobResolve = result => {this.#endJob(job, undefined, result); resolve(result)}
+      jobReject = error => {this.#endJob(job, error); reject(error)}
     })
-    const jobRunner = async () => {
+    try {
+      timeout = validTimeout(timeout)
+    } catch (error) {
+      jobReject(error)
+      return jobDonePromise
+    }
+    if (!Number.isFinite(priority)) {
+      jobReject(TypeError('The priority must be a finite number, got: '+priority))
+      return jobDonePromise
+    }
+    if (this.#closed) {
+      jobReject(new ClosedError())
+      return jobDonePromise
+    }
+    if (signal?.aborted) {
+      jobReject(new AbortError(undefined, {cause: signal.reason}))
+      return jobDonePromise
+    }
+    const onAbort = () => queued.cancel(new AbortError(undefined, {cause: signal.reason}))
+    const queued = {priority, cancel: error => {
+      const queueIndex = this.#jobQueue.indexOf(queued)
+      if (queueIndex != -1) { // then it never started
+        this.#jobQueue.splice(queueIndex, 1)
+        signal?.removeEventListener('abort', onAbort)
+        jobReject(error)
+        this.#emitIfIdle()
+      } else {
+        stopRunning(error)
+      }
+    }, run: async () => {
       this.#runningJobs ++
+      this.#activeJobs.add(queued)
+      this.#startJob(job)
+      let timer
       try {
-        jobResolve(await new Promise(jobFunction))
+        jobResolve(await new Promise((resolve, reject) => {
+          stopRunning = error => {
+            if (job.process) terminate(job.process)
+            reject(error) // frees the slot right away
+          }
+          if (timeout) {
+            timer = setTimeout(() => stopRunning(new TimeoutError(timeout)), timeout)
+          }
+          jobFunction(resolve, reject)
+        }))
       } catch (error) {
         jobReject(error)
       }
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+      this.#activeJobs.delete(queued)
       this.#runningJobs --
       if (this.#workerWaiting) this.emit('stopWaiting')
-    }
+      this.#emitIfIdle()
+    }}
+    signal?.addEventListener('abort', onAbort, {once: true})
     // setImmediate(() => {
-      this.#jobQueue.push(jobRunner)
+      // insert it after the last job with the same or a higher priority
+      let queueIndex = this.#jobQueue.length
+      while (queueIndex > 0 && this.#jobQueue[queueIndex-1].priority < priority) queueIndex --
+      this.#jobQueue.splice(queueIndex, 0, queued)
       if (!this.#workerRunning) this.#worker() // run it, don't worry it's async
     // })
     return jobDonePromise
   }
+
+  /**
+   * Stage a job for the next batch.
+   * @param {Object} job The record from `#newJob`, its type is used as the file extension of the staged input.
+   * @param {Object} input
+   * @param {string} [input.file] Path of the input file.
+   * @param {string|Uint8Array} [input.source] The input if there's no file.
+   * @param {Object} input.options The options given to `content()` or `file()`.
+   */
+  #stageJob(job, {file, source, options}) {
+    Object.assign(job, {file, source, options})
+    return new Promise((resolve, reject) => {
+      const {signal} = options
+      job.resolve = result => {
+        signal?.removeEventListener('abort', onAbort)
+        this.#endJob(job, undefined, result)
+        resolve(result)
+      }
+      job.reject = error => {
+        signal?.removeEventListener('abort', onAbort)
+        this.#endJob(job, error)
+        reject(error)
+      }
+      const onAbort = () => {
+        const stagedIndex = this.#stagedJobs.indexOf(job)
+        if (stagedIndex != -1) this.#stagedJobs.splice(stagedIndex, 1)
+        job.reject(new AbortError(undefined, {cause: signal.reason}))
+        this.#emitIfIdle()
+      }
+      if (this.#closed) return job.reject(new ClosedError())
+      if (!/^\w+$/.test(job.type)) return job.reject(Error('A valid type is needed to minify '+(file ?? 'the content')+' in batch mode, got: '+job.type))
+      if (!Number.isFinite(options.priority ?? 0)) return job.reject(TypeError('The priority must be a finite number, got: '+options.priority))
+      if (signal?.aborted) return job.reject(new AbortError(undefined, {cause: signal.reason}))
+      signal?.addEventListener('abort', onAbort, {once: true})
+      this.#stagedJobs.push(job)
+      if (this.#stagedJobs.length >= this.#batch.size) {
+        this.#flushBatch()
+      } else if (!this.#batchTimer) {
+        this.#batchTimer = setTimeout(() => this.#flushBatch(), this.#batch.delay)
+      }
+    })
+  }
+
+  /** Queue the staged jobs as a single job. */
+  #flushBatch() {
+    clearTimeout(this.#batchTimer)
+    this.#batchTimer = undefined
+    const jobs = this.#stagedJobs.splice(0, this.#batch.size)
+    if (this.#stagedJobs.length) {
+      this.#batchTimer = setTimeout(() => this.#flushBatch(), this.#batch.delay)
+    }
+    if (!jobs.length) return
+    const priority = Math.max(...jobs.map(job => job.options.priority ?? 0))
+    const batchJob = {batch: jobs}
+    this.#pushJob(batchJob, (resolve, reject) => {
+      this.#runBatch(batchJob).then(resolve, reject)
+    }, {priority}).catch(error => { // e.g. a TimeoutError
+      for (const job of jobs) job.reject(error)
+    })
+  }
+
+  /** Write the inputs of the jobs to a temporary directory, minify it recursively and settle every job with its output (or error). */
+  async #runBatch(batchJob) {
+    const directory = await mkdtemp(join(tmpdir(), 'tdewolff-minify-'))
+    try {
+      const inputDirectory = join(directory, 'input'), outputDirectory = join(directory, 'output')
+      await mkdir(inputDirectory)
+      const stagedJobs = []
+      await Promise.all(batchJob.batch.map(async (job, index) => {
+        job.stagedName = index+'.'+job.type
+        const stagedPath = join(inputDirectory, job.stagedName)
+        try {
+          if (job.file) {
+            await copyFile(job.file, stagedPath)
+            job.inputSize = await fileSize(stagedPath)
+          } else {
+            await writeFile(stagedPath, job.source)
+          }
+          stagedJobs.push(job)
+        } catch (error) {
+          job.reject(error)
+        }
+      }))
+      if (!stagedJobs.length) return
+      const args = [...this.#cliOptions, '--recursive', '--output', outputDirectory+sep, inputDirectory+sep]
+      const minify = batchJob.process = spawn(minifyPath, args)
+      let batchError
+      try {
+        await processDone(minify, {})
+      } catch (error) {
+        if (!(error instanceof MinifyError)) throw error
+        batchError = error
+      }
+      for (const job of stagedJobs) {
+        const stagedPath = join(inputDirectory, job.stagedName)
+        const errorLines = (batchError?.stderr ?? '').split('\n').filter(line => line.includes(sep+job.stagedName+':'))
+        if (errorLines.length) {
+          const stderr = errorLines.join('\n').replaceAll(stagedPath, job.file ?? '')
+          job.reject(new MinifyError(stderr, {
+            code: batchError.code, signal: batchError.signal, type: job.type, file: job.file,
+            source: job.file ? await readFile(job.file, 'utf-8').catch(() => undefined) : decodeSource(job.source)
+          }))
+          continue
+        }
+        let output
+        // depending on the minify version the name of the input directory may be kept in the output path
+        for (const outputPath of [join(outputDirectory, job.stagedName), join(outputDirectory, 'input', job.stagedName)]) {
+          try {output = await readFile(outputPath); break} catch {}
+        }
+        if (output) job.resolve(job.options.output == 'buffer' ? output : output.toString('utf-8'))
+        else job.reject(Error('The batch of minify jobs failed before '+(job.file ?? 'the content')+' was minified', {cause: batchError}))
+      }
+    } finally {
+      await rm(directory, {recursive: true, force: true})
+    }
+  }
   
   /** 
    * Feed the minifier input from a stream and send its output to another. E.g. `fs.createReadStream` and `fs.createWriteStream`.
-   * @param {string} type The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22).
+   * @param {string} type The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22), their MIME types (e.g. `text/html`) and file extensions (e.g. `mjs`) are also accepted.
    * @param {stream.Readable} inputStream The stream which contains the input, duh.
    * @param {stream.Writable} outputStream The stream to fill with the output...
-   * @returns {Promise} A promise which resolves when done.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Allows the job to be aborted, it then rejects with an `AbortError`.
+   * @param {number} [options.timeout] Overrides the timeout set on the controller.
+   * @param {number} [options.priority] Jobs with a higher priority are run before those queued with a lower one (e.g. to let interactive requests skip ahead of bulk work). Defaults to 0.
+   * @returns {Promise} A promise which resolves when done or rejects with a `MinifyError`. The `inputSize` and `outputSize` of its job are only known when it ends (in the `jobEnd` event).
    */
-  pipe(type, inputStream, outputStream) {
-    return this.#pushJob((resolve, reject) => {
-      if (typeof type != 'string') return reject("The type ('js', 'html', etc) of inputStream needs to be a string, got: "+type)
-      const minify = spawn(minifyPath, ['--type='+type])
-      minify.stderr.setEncoding('utf-8').on('data', reject)
+  pipe(type, inputStream, outputStream, options = {}) {
+    try {type = this.#resolveType(type)} catch (error) {return Promise.reject(error)}
+    const job = this.#newJob(type)
+    return this.#pushJob(job, (resolve, reject) => {
+      const minify = job.process = spawn(minifyPath, [...this.#cliOptions, '--type='+type])
+      job.inputSize = job.outputSize = 0
+      inputStream.on('data', chunk => {job.inputSize += byteLength(chunk)})
+      minify.stdout.on('data', chunk => {job.outputSize += chunk.length})
       minify.stdout.pipe(outputStream)
-      minify.on('error', reject)
-      outputStream.on('close', resolve)
+      Promise.all([
+        processDone(minify, {type}),
+        new Promise(resolve => outputStream.on('close', resolve))
+      ]).then(() => resolve(), reject)
       inputStream.pipe(minify.stdin)
-    })
+    }, options)
   }
 
   /**
    * Minify the file at the given path. Optionally specify the content type.
    * @param {string} filePath Path to the file to minify.
-   * @param {string} [type] The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22).
-   * @returns {Promise.<string>} A promise which resolves with the minified content when done.
-   */
-  file(filePath, type) {
-    return this.#pushJob((resolve, reject) => {
-      if (!type) { // then check filename
-        type = extname(filePath).slice(1)
-        if (type == '') return reject('The file to minify has no extension, hence the type needs to be specified manually. File: '+filePath)
-      }
-      let stdout = ''
-      // todo: check if path.resolve is needed
-      const args = [...this.#customCliOptions, '--type='+type, filePath]
-      const minify = spawn(minifyPath, args)
-      minify.stderr
-        .setEncoding('utf-8')
-        .on('data', reject)
-      minify.stdout
-        .setEncoding('utf-8')
-        .on('data', string => {stdout += string})
-      minify
-        .on('error', reject)
-        .on('exit', code => {
-          if (code == 0) resolve(stdout)
-        })
-      // if node reads the file:
-      // const inputStream = fs.createReadStream(filePath)
-      // inputStream.on('exit', () => resolve(stdout))
-      // inputStream.pipe(minify.stdin)
+   * @param {string} [type] The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22), their MIME types (e.g. `text/html`) and file extensions (e.g. `mjs`) are also accepted. Or `'auto'` to detect it by sniffing the input.
+   * @param {Object} [options] Can also be given in place of the type.
+   * @param {AbortSignal} [options.signal] Allows the job to be aborted, it then rejects with an `AbortError`.
+   * @param {number} [options.timeout] Overrides the timeout set on the controller.
+   * @param {number} [options.priority] Jobs with a higher priority are run before those queued with a lower one (e.g. to let interactive requests skip ahead of bulk work). Defaults to 0.
+   * @param {string} [options.output] Set to `'buffer'` to resolve with the raw bytes as a `Buffer` instead of a string.
+   * @param {boolean} [options.details] Resolve with the details of the job (see `content()`) instead of only the minified content.
+   * @returns {Promise.<string|Buffer|{code: string|Buffer, type: string}>} A promise which resolves with the minified content when done or rejects with a `MinifyError`. If the type was `'auto'` it resolves with the content as `code` together with the detected `type`.
+   */
+  file(filePath, type, options = {}) {
+    if (typeof type == 'object') [type, options] = [undefined, type]
+    if (type == 'auto') {
+      return this.#track(readFile(filePath).then(source => {
+        const type = this.#sniffType(source, filePath)
+        return this.file(filePath, type, options).then(result => options.details ? result : {code: result, type})
+      }))
+    }
+    try {type = this.#resolveType(type, filePath)} catch (error) {return Promise.reject(error)}
+    if (!outputModes.includes(options.output ?? 'string')) return Promise.reject(TypeError("The output option must be 'string' or 'buffer', got: "+options.output))
+    const runJob = () => this.#queueSized(filePath, inputSize => {
+      const job = this.#newJob(type, inputSize)
+      const done = this.#batch ? this.#stageJob(job, {file: filePath, options}) : this.#pushJob(job, (resolve, reject) => {
+        // todo: check if path.resolve is needed
+        const args = [...this.#cliOptions, '--type='+type, filePath]
+        const minify = job.process = spawn(minifyPath, args)
+        const stdout = collectStdout(minify, options.output)
+        Promise.all([processDone(minify, {type, file: filePath}), fileSize(filePath)])
+          .then(([, inputSize]) => {
+            job.inputSize = inputSize
+            resolve(stdout())
+          }, reject)
+        // if node reads the file:
+        // const inputStream = fs.createReadStream(filePath)
+        // inputStream.on('exit', () => resolve(stdout))
+        // inputStream.pipe(minify.stdin)
+      }, options)
+      return options.details ? done.then(code => jobDetails(job, code)) : done
     })
+    if (!this.#diskCache) return runJob()
+    return this.#track(readFile(filePath).then(source => this.#cached(type, source, options, runJob,
+      result => Buffer.from(options.details ? result.code : result),
+      cached => fromCache(cached, {type, inputSize: source.byteLength}, options)
+    )))
   }
 
   /**
    * Minify a file and save the minified version at the given path. Optionally specify the content type.
    * @param {string} inputFile Path to the file to minify.
    * @param {string} outputFile Where to save the minified file.
-   * @param {string} [type] The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22).
-   * @returns {Promise.<string>} A promise which resolves when done.
-   */
-   fileToFile(inputFile, outputFile, type) {
-    return this.#pushJob((resolve, reject) => {
-      if (!type) { // then check filename
-        type = extname(inputFile).slice(1)
-        if (type == '') return reject('The file to minify has no extension, hence the type needs to be specified manually. File: '+inputFile)
-      }
-      // todo: check if path.resolve is needed
-      const args = [...this.#customCliOptions, '--type='+type, '--output', outputFile, inputFile]
-      const minify = spawn(minifyPath, args)
-      minify.stderr
-        .setEncoding('utf-8')
-        .on('data', reject)
-      minify
-        .on('error', reject)
-        .on('exit', code => {
-          if (code == 0) resolve()
-        })
+   * @param {string} [type] The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22), their MIME types (e.g. `text/html`) and file extensions (e.g. `mjs`) are also accepted. Or `'auto'` to detect it by sniffing the input.
+   * @param {Object} [options] Can also be given in place of the type.
+   * @param {AbortSignal} [options.signal] Allows the job to be aborted, it then rejects with an `AbortError`.
+   * @param {number} [options.timeout] Overrides the timeout set on the controller.
+   * @param {number} [options.priority] Jobs with a higher priority are run before those queued with a lower one (e.g. to let interactive requests skip ahead of bulk work). Defaults to 0.
+   * @param {Array.<string>|{formats: Array.<string>, gzipLevel: number, brotliLevel: number, minSize: number}} [options.precompress] Also write a gzip (`.gz`) and/or brotli (`.br`) compressed copy next to the output, e.g. `['gzip', 'brotli']`. Give an object to set the compression levels (defaults to the max) or a min output size in bytes for it to be compressed (defaults to 0). The compression runs off the main thread and doesn't occupy a job slot.
+   * @param {Object} [options.budgets] Overrides the size budgets set on the controller.
+   * @param {boolean|{algorithm: string, length: number}} [options.hashNames] Insert a hash of the minified content into the name of the output file, e.g. `app.min.js` is saved as `app.3f9a1c2b.min.js`. Set it to `true` for the defaults or give the hash `algorithm` (defaults to `'sha256'`) and/or the `length` of the hex digest used (defaults to 8).
+   * @param {boolean|string|Array.<string>} [options.integrity] Compute the Subresource Integrity metadata of the output, using sha384 if `true` or the algorithm(s) given (sha256, sha384 and/or sha512).
+   * @param {string|Buffer|Uint8Array} [options.source] Minify this instead of the content of the input file (which is then only used to name it, e.g. in errors), for when it has been altered.
+   * @returns {Promise.<{inputFile: string, outputFile: string, type: string, inputSize: number, outputSize: number, hash: string, integrity: string, precompressed: Object.<string, {file: string, size: number}>}>} A promise which resolves with the paths, type and sizes (in bytes) when done or rejects with a `MinifyError` (or a `BudgetError` if the output is too large, it's written anyway). With `hashNames` the `outputFile` is the hashed path and `hash` is set, with `integrity` it's set to the metadata for the `integrity` attribute. If precompressing, `precompressed` has the path and size of the copy written per format.
+   */
+   fileToFile(inputFile, outputFile, type, options = {}) {
+    if (typeof type == 'object') [type, options] = [undefined, type]
+    if (type == 'auto') {
+      return this.#track((options.source !== undefined ? Promise.resolve(options.source) : readFile(inputFile))
+        .then(source => this.fileToFile(inputFile, outputFile, this.#sniffType(source, inputFile), options)))
+    }
+    let precompress, hashing, sri, budgets = this.#budgets
+    try {
+      type = this.#resolveType(type, inputFile)
+      precompress = precompressOptions(options.precompress)
+      hashing = hashNameOptions(options.hashNames)
+      sri = integrityOptions(options.integrity)
+      if (options.budgets) budgets = compileBudgets(options.budgets)
+    } catch (error) {
+      return Promise.reject(error)
+    }
+    // when hashing it's saved under a temporary name until the hash is known
+    const minifiedFile = hashing ? join(dirname(outputFile), '.'+basename(outputFile)+'.'+randomBytes(6).toString('hex')+'.tmp') : outputFile
+    const queueJob = inputSize => {
+      const job = this.#newJob(type, inputSize)
+      return this.#pushJob(job, (resolve, reject) => {
+        // todo: check if path.resolve is needed
+        const {source} = options
+        const args = [...this.#cliOptions, '--type='+type, '--output', minifiedFile]
+        if (source === undefined) args.push(inputFile)
+        job.process = spawn(minifyPath, args)
+        processDone(job.process, {type, file: inputFile, source})
+          .then(() => Promise.all([source === undefined ? fileSize(inputFile) : byteLength(source), fileSize(minifiedFile)]))
+          .then(([inputSize, outputSize]) => {
+            Object.assign(job, {inputSize, outputSize})
+            resolve({inputFile, outputFile, type, inputSize, outputSize})
+          }, reject)
+        if (source !== undefined && job.process.stdin.writable) job.process.stdin.end(source)
+      }, options)
+    }
+    const runJob = () => options.source !== undefined ? queueJob(byteLength(options.source)) : this.#queueSized(inputFile, queueJob)
+    const done = !this.#diskCache ? runJob() : (options.source !== undefined ? Promise.resolve(options.source) : readFile(inputFile))
+      .then(source => this.#cached(type, source, options, runJob,
+        () => readFile(minifiedFile),
+        async cached => {
+          await writeFile(minifiedFile, cached)
+          return {inputFile, outputFile, type, inputSize: byteLength(source), outputSize: cached.byteLength}
+        }
+      ))
+    if (!precompress && !budgets.length && !hashing && !sri) return this.#track(done)
+    return this.#track(done.then(async result => {
+      const minified = hashing || sri ? await readFile(minifiedFile) : undefined
+      if (sri) result.integrity = integrityOf(minified, sri.algorithms)
+      if (hashing) {
+        result.hash = contentHash(minified, hashing)
+        result.outputFile = hashedName(outputFile, result.hash)
+        await rename(minifiedFile, result.outputFile)
+      }
+      if (precompress) result.precompressed = await writePrecompressed(result.outputFile, precompress)
+      const violations = await checkBudgets(budgets, [{...result, file: inputFile}])
+      if (violations.length) throw new BudgetError(violations)
+      return result
+    }).catch(async error => {
+      if (hashing) await rm(minifiedFile, {force: true})
+      throw error
+    }))
+  }
+
+  /**
+   * Minify the files in a directory and save them in another (keeping the directory structure). The type of each file is taken from its extension, files with other extensions are skipped. The jobs are queued like those of `fileToFile()`, hence `maxConcurrency` is respected.
+   * @param {string} sourceDirectory The directory with the files to minify.
+   * @param {string} outputDirectory Where to save the minified files. If inside the source directory it's skipped when walking it.
+   * @param {Object} [options] Also passed on to `fileToFile()` (e.g. `signal`, `priority` or `precompress`).
+   * @param {boolean} [options.recursive] Include the files in subdirectories, defaults to true.
+   * @param {string|RegExp|function|Array} [options.include] Only minify files with a relative path (using `/` as separator) matching any of these globs, regular expressions or functions.
+   * @param {string|RegExp|function|Array} [options.exclude] Skip files with a relative path matching any of these.
+   * @param {function(string, string): string} [options.rename] Given the relative path and type of a file it returns the relative path to save it at, e.g. `path => path.replace(/\.\w+$/, '.min$&')`.
+   * @param {Object} [options.budgets] Size budgets for this run, in addition to those set on the controller. They're checked when every file is done.
+   * @param {string|boolean} [options.manifest] Where to save a JSON manifest mapping the relative path of every file minified to its relative output path (`file`), `hash` and `integrity` (if any), `inputSize` and `outputSize`. Defaults to `manifest.json` in the output directory when `hashNames` or `integrity` is enabled, `false` disables it.
+   * @param {boolean|string|Array.<string>|{algorithms: string|Array.<string>, inject: boolean, crossorigin: string}} [options.integrity] Compute the Subresource Integrity metadata of every output (see `fileToFile()`). Give an object with `inject` set to add the `integrity` and `crossorigin` (defaults to `'anonymous'`) attributes to the `<script>` and `<link>` tags in the HTML outputs referencing the other outputs, this is done before the HTML is hashed.
+   * @param {boolean|{mapping: Object.<string, string>, when: string}} [options.references] Rewrite the references (`href`, `src`, `srcset`, `url()` and `@import`) in the HTML and CSS files to the files which got new paths in this run (e.g. by `rename` or `hashNames`), or to those in the `mapping` given (of old to new paths relative to the source directory, e.g. for other assets). By default they're rewritten `'after'` minification and before hashing, the referenced files are hashed first (files referencing each other in a cycle, like HTML pages linking to each other, are hashed together before the references among them are rewritten, hence a change to any of them renames them all and their `hash` is not of their content alone). Set `when` to `'before'` to rewrite the sources instead (then the hashed names aren't known). See `rewriteReferences()`.
+   * @returns {Promise.<Array.<{file: string, type: string, inputFile: string, outputFile: string, inputSize: number, outputSize: number, hash: string, integrity: string, references: {rewritten: number, unresolved: Array.<string>}, error: Error}>>} A promise which resolves with a result for every file minified (in the order walked), where `file` is the relative path and `error` is set if it failed. When rewriting references `references` has the number rewritten and those which couldn't be resolved (neither mapped nor an existing file in the source directory). It only rejects if aborted, if the source directory can't be read or with a `BudgetError` (having the `results`) if any budget was exceeded.
+   */
+  directory(sourceDirectory, outputDirectory, options) {
+    return this.#track(this.#directory(sourceDirectory, outputDirectory, options))
+  }
+
+  async #directory(sourceDirectory, outputDirectory, {recursive = true, include, exclude, rename, budgets, manifest, references, ...options} = {}) {
+    const precompress = precompressOptions(options.precompress)
+    const sri = integrityOptions(options.integrity)
+    const hashing = hashNameOptions(options.hashNames)
+    if (hashing || sri) manifest ??= true
+    if (manifest === true) manifest = join(outputDirectory, 'manifest.json')
+    budgets = [...this.#budgets, ...compileBudgets(budgets)]
+    if (references) {
+      const {mapping = {}, when = 'after'} = references === true ? {} : references
+      if (!['before', 'after'].includes(when)) throw TypeError("The references must be rewritten 'before' or 'after' minification, got: "+when)
+      references = {mapping, when}
+    }
+    const typeOf = fileSelector({include, exclude, types: this.#types})
+    const allFiles = await listFiles(sourceDirectory, recursive, resolve(outputDirectory))
+    const files = allFiles.filter(typeOf)
+    const newPaths = new Map(files.map(file => [file, rename ? rename(file, typeOf(file)).split(sep).join('/') : file]))
+    const existingFiles = new Set(allFiles) // and the directories they're in
+    for (const file of allFiles) {
+      for (let directory = posix.dirname(file); directory != '.'; directory = posix.dirname(directory)) existingFiles.add(directory)
+    }
+    const rewriteOptions = (file, mapping) => ({
+      file, newFile: newPaths.get(file), mapping: {...mapping, ...references.mapping},
+      exists: path => existingFiles.has(path)
     })
+    // the HTML and CSS outputs to finish below (rewriting their references or injecting the integrity), hence they're hashed, compressed etc. there
+    const finishLater = type => (type == 'html' && (references?.when == 'after' || sri?.inject)) || (type == 'css' && references?.when == 'after')
+    const results = await Promise.all(files.map(async file => {
+      const type = typeOf(file)
+      const inputFile = join(sourceDirectory, file)
+      const outputFile = join(outputDirectory, newPaths.get(file))
+      const result = {file, type, inputFile, outputFile}
+      try {
+        let source
+        if (references?.when == 'before' && (type == 'html' || type == 'css')) {
+          const renamed = Object.fromEntries([...newPaths].filter(([file, newPath]) => file != newPath))
+          const {code, rewritten, unresolved} = rewriteReferences(type, await readFile(inputFile, 'utf-8'), rewriteOptions(file, renamed))
+          result.references = {rewritten, unresolved}
+          if (rewritten) source = code
+        }
+        await mkdir(dirname(outputFile), {recursive: true})
+        const fileOptions = finishLater(type) ? {...options, hashNames: undefined, integrity: undefined, precompress: undefined} : options
+        Object.assign(result, await this.fileToFile(inputFile, outputFile, type, {...fileOptions, source, budgets: {}})) // checked below
+      } catch (error) {
+        result.error = error
+      }
+      return result
+    }))
+    if (options.signal?.aborted) throw new AbortError(undefined, {cause: options.signal.reason})
+    const outputPath = outputFile => relative(outputDirectory, outputFile).split(sep).join('/')
+    const unfinished = new Map() // the results to finish by their relative path
+    const renamed = {}, integrities = new Map(), minified = new Map(), dependencies = new Map()
+    const finished = ({file, outputFile, integrity}) => {
+      unfinished.delete(file)
+      if (outputPath(outputFile) != file) renamed[file] = outputPath(outputFile)
+      if (integrity) integrities.set(outputPath(outputFile), integrity)
+    }
+    for (const result of results) {
+      if (result.error) continue
+      if (finishLater(result.type)) unfinished.set(result.file, result)
+      else finished(result)
+    }
+    await Promise.all([...unfinished.values()].map(async result => {
+      try {
+        minified.set(result.file, await readFile(result.outputFile, 'utf-8'))
+      } catch (error) {
+        result.error = error
+        unfinished.delete(result.file)
+      }
+    }))
+    for (const [file, result] of unfinished) {
+      dependencies.set(file, references?.when == 'after' ? referencedFiles(result.type, minified.get(file), file) : new Set())
+    }
+    // group the files referencing each other in a cycle (e.g. HTML pages linking to each other) using Tarjan's algorithm, the groups referenced by others come first (hence the references to them have their final names when the others are hashed)
+    const groups = [], indexes = new Map(), lowLinks = new Map(), stack = []
+    const connect = file => {
+      indexes.set(file, indexes.size)
+      lowLinks.set(file, indexes.get(file))
+      stack.push(file)
+      for (const target of dependencies.get(file)) {
+        if (!unfinished.has(target)) continue
+        if (!indexes.has(target)) {
+          connect(target)
+          lowLinks.set(file, Math.min(lowLinks.get(file), lowLinks.get(target)))
+        } else if (stack.includes(target)) {
+          lowLinks.set(file, Math.min(lowLinks.get(file), indexes.get(target)))
+        }
+      }
+      if (lowLinks.get(file) == indexes.get(file)) groups.push(stack.splice(stack.indexOf(file)))
+    }
+    for (const file of unfinished.keys()) {
+      if (!indexes.has(file)) connect(file)
+    }
+    const unhashedFile = ({file}) => join(outputDirectory, newPaths.get(file))
+    /** Get the code with its references rewritten and the integrity injected. */
+    const finalCode = result => {
+      const {file, type} = result
+      let code = minified.get(file)
+      if (references?.when == 'after') {
+        const rewriteResult = rewriteReferences(type, code, {...rewriteOptions(file, renamed), newFile: outputPath(unhashedFile(result))})
+        result.references = {rewritten: rewriteResult.rewritten, unresolved: rewriteResult.unresolved}
+        code = rewriteResult.code
+      }
+      if (sri?.inject && type == 'html') {
+        code = injectIntegrity(code, {file: outputPath(unhashedFile(result)), integrities, crossorigin: sri.crossorigin}).code
+      }
+      return code
+    }
+    const save = async (result, code) => {
+      if (result.outputFile != unhashedFile(result)) {
+        await writeFile(result.outputFile, code)
+        await rm(unhashedFile(result), {force: true})
+      } else if (code != minified.get(result.file)) {
+        await writeFile(result.outputFile, code)
+      }
+      result.outputSize = Buffer.byteLength(code)
+      if (sri) result.integrity = integrityOf(code, sri.algorithms)
+    }
+    const finishing = [...unfinished.values()]
+    for (const group of groups) {
+      const members = group.map(file => unfinished.get(file))
+      const cyclic = group.length > 1 || dependencies.get(group[0]).has(group[0])
+      try {
+        let codes = members.map(finalCode)
+        if (hashing) {
+          // the references among the members can't have their final names yet, hence each is hashed together with the code of the others (so a change to any of them renames them all)
+          for (const [index, result] of members.entries()) {
+            result.hash = contentHash(group.length > 1 ? [codes[index], ...codes].join('\0') : codes[index], hashing)
+            result.outputFile = hashedName(unhashedFile(result), result.hash)
+          }
+        }
+        if (cyclic) {
+          members.forEach(finished)
+          codes = members.map(finalCode)
+        }
+        await Promise.all(members.map((result, index) => save(result, codes[index])))
+        members.forEach(finished)
+      } catch (error) {
+        for (const result of members) {
+          result.error = error
+          unfinished.delete(result.file)
+        }
+      }
+    }
+    if (precompress) {
+      await Promise.all(finishing.filter(result => !result.error).map(async result => {
+        try {
+          result.precompressed = await writePrecompressed(result.outputFile, precompress)
+        } catch (error) {
+          result.error = error
+        }
+      }))
+    }
+    if (manifest) {
+      const entries = {}
+      for (const {file, outputFile, hash, integrity, inputSize, outputSize, error} of results) {
+        if (!error) entries[file] = {file: outputPath(outputFile), hash, integrity, inputSize, outputSize}
+      }
+      await mkdir(dirname(manifest), {recursive: true})
+      await writeFile(manifest, JSON.stringify(entries, null, 2))
+    }
+    const violations = await checkBudgets(budgets, results.filter(result => !result.error))
+    if (violations.length) {
+      const error = new BudgetError(violations)
+      error.results = results
+      throw error
+    }
+    return results
   }
 
   /**
-   * Minify the text input given according to the type specified.
-   * @param {string} type The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22).
-   * @param {string} textContent 
-   * @returns {Promise} A promise which resolves when done.
-   */
-  content(type, textContent) {
-    return this.#pushJob((resolve, reject) => {
-      let stdout = ''
-      const args = [...this.#customCliOptions, '--type='+type]
-      const minify = spawn(minifyPath, args)
-      minify.stderr
-        .setEncoding('utf-8')
-        .on('data', reject)
-      minify.stdout
-        .setEncoding('utf-8')
-        .on('data', string => {stdout += string})
-      minify.on('error', reject)
-      minify.on('exit', code => {
-        if (code == 0) resolve(stdout)
+   * Concatenate files of the same type (in the order given), minify them as one unit and save the result. Each input is also minified on its own to report its contribution to the size of the bundle, and an error in the bundle is attributed to the input (and line) it came from.
+   * @param {Array.<string>} inputFiles Paths to the files to bundle.
+   * @param {string} outputFile Where to save the minified bundle.
+   * @param {Object} [options] Also passed on to `content()` and `file()` (e.g. `signal` or `priority`).
+   * @param {string} [options.type] The type of content to minify, by default it's taken from the extension of the inputs (which must then be of the same type).
+   * @param {string} [options.separator] Put between the inputs, defaults to `';\n'` for JavaScript and `'\n'` for other types.
+   * @param {Array.<string>|Object} [options.precompress] Also write compressed copies of the bundle, see `fileToFile()`.
+   * @param {boolean|string|Array.<string>} [options.integrity] Compute the Subresource Integrity metadata of the bundle, see `fileToFile()`.
+   * @returns {Promise.<{outputFile: string, type: string, inputSize: number, outputSize: number, integrity: string, precompressed: Object, inputs: Array.<{file: string, inputSize: number, outputSize: number}>}>} A promise which resolves with the sizes (in bytes) of the bundle and of every input (where `outputSize` is its size when minified on its own) or rejects with a `MinifyError` having the `file` and `line` of the input with the problem.
+   */
+  bundle(inputFiles, outputFile, options) {
+    return this.#track(this.#bundle(inputFiles, outputFile, options))
+  }
+
+  async #bundle(inputFiles, outputFile, {type, separator, precompress, integrity, ...options} = {}) {
+    if (!Array.isArray(inputFiles) || !inputFiles.length) throw TypeError('The files to bundle must be a non-empty array, got: '+inputFiles)
+    precompress = precompressOptions(precompress)
+    const sri = integrityOptions(integrity)
+    if (type) {
+      type = this.#resolveType(type)
+    } else {
+      const types = new Set(inputFiles.map(file => this.#types.fileType(file)))
+      if (types.size != 1 || types.has(undefined)) throw Error('The files to bundle must be of the same (known) type, else the type needs to be specified manually. Files: '+inputFiles.join(', '))
+      type = [...types][0]
+    }
+    separator ??= type == 'js' ? ';\n' : '\n'
+    const sources = await Promise.all(inputFiles.map(file => readFile(file)))
+    const inputs = [], separatorLines = separator.split('\n').length - 1
+    let line = 1
+    for (const [index, file] of inputFiles.entries()) {
+      const source = sources[index].toString('utf-8')
+      inputs.push({file, firstLine: line, source, inputSize: sources[index].length})
+      line += source.split('\n').length - 1 + separatorLines
+    }
+    const bundled = Buffer.concat(sources.flatMap((source, index) => index ? [Buffer.from(separator), source] : [source]))
+    const [bundleResult, ...inputResults] = await Promise.allSettled([
+      this.content(type, bundled, {...options, output: 'buffer'}),
+      ...inputFiles.map(file => this.file(file, type, {...options, output: 'buffer'}))
+    ])
+    if (bundleResult.status == 'rejected') {
+      const error = bundleResult.reason
+      if (!(error instanceof MinifyError && error.line)) throw error
+      const input = [...inputs].reverse().find(input => input.firstLine <= error.line)
+      const attributed = new MinifyError(input.file+':'+(error.line - input.firstLine + 1)+':'+error.column+': '+error.reason, {
+        code: error.code, signal: error.signal, type, source: input.source
       })
-      // minify.on('spawn', () => {
-        if (minify.stdin.writable) minify.stdin.end(textContent)
-      // })
-    })
+      attributed.cause = error
+      throw attributed
+    }
+    const minified = bundleResult.value
+    await mkdir(dirname(outputFile), {recursive: true})
+    await writeFile(outputFile, minified)
+    return {
+      outputFile, type,
+      inputSize: bundled.length,
+      outputSize: minified.length,
+      integrity: sri ? integrityOf(minified, sri.algorithms) : undefined,
+      precompressed: precompress ? await writePrecompressed(outputFile, precompress) : undefined,
+      inputs: inputs.map(({file, inputSize}, index) => ({file, inputSize, outputSize: inputResults[index].value?.length}))
+    }
+  }
+
+  /**
+   * Watch a directory and minify the files which change in it into another directory (keeping the directory structure), the type of each file is taken from its extension. Rapid changes to a file are debounced and an outdated job is aborted if its file changes again. When a file is deleted so is its output.
+   * @param {string} sourceDirectory The directory to watch.
+   * @param {string} outputDirectory Where to save the minified files. If inside the source directory it's not watched.
+   * @param {Object} [options] Also passed on to `fileToFile()` (e.g. `priority`, `timeout` or `precompress`).
+   * @param {boolean} [options.recursive] Watch the subdirectories, defaults to true.
+   * @param {string|RegExp|function|Array} [options.include] Like with `directory()`.
+   * @param {string|RegExp|function|Array} [options.exclude] Like with `directory()`.
+   * @param {function(string, string): string} [options.rename] Like with `directory()`.
+   * @param {number} [options.debounce] Milliseconds to wait for more changes to a file before minifying it, defaults to 100.
+   * @param {boolean} [options.initial] Also minify the files present when starting to watch, defaults to false.
+   * @param {AbortSignal} [options.signal] Closes the watcher when aborted.
+   * @returns {DirectoryWatcher} An `EventEmitter` emitting `minified`, `removed` and `error` (which must be listened to), call its `close()` to stop watching. It's also closed when the controller is.
+   */
+  watch(sourceDirectory, outputDirectory, options) {
+    if (this.#closed) throw new ClosedError()
+    const watcher = new DirectoryWatcher(this, this.#types, sourceDirectory, outputDirectory, options)
+    if (watcher.closed) return watcher // its signal was aborted
+    this.#watchers.add(watcher)
+    watcher.once('close', () => this.#watchers.delete(watcher))
+    return watcher
+  }
+
+  /**
+   * Safely minify files in place. Each file is minified into a temporary file in the same directory, which is synced to disk and then renamed over the original; hence the original is only replaced if minification succeeded and a file is never left half-written.
+   * @param {string|Array.<string>} paths The file(s) to minify.
+   * @param {Object} [options] Also passed on to `fileToFile()` (e.g. `signal`, `priority` or `precompress`).
+   * @param {string} [options.type] The type of content to minify, by default it's taken from the extension of each file (`'auto'` sniffs the content of each).
+   * @param {string} [options.backupSuffix] If set then a copy of each original is kept at its path with this suffix added, e.g. `'.orig'`.
+   * @returns {Promise.<Array.<{file: string, type: string, inputSize: number, outputSize: number, integrity: string, backupFile: string, precompressed: Object, error: Error}>>} A promise which resolves with a result for every file, where `error` is set if it failed (the file is then untouched) and `integrity` is set if enabled (see `fileToFile()`). It only rejects if aborted.
+   */
+  inPlace(paths, options) {
+    return this.#track(this.#inPlace(paths, options))
+  }
+
+  async #inPlace(paths, {type, backupSuffix, precompress, ...options} = {}) {
+    if (backupSuffix !== undefined && (typeof backupSuffix != 'string' || backupSuffix == '')) {
+      throw TypeError('The backupSuffix must be a non-empty string, got: '+backupSuffix)
+    }
+    precompress = precompressOptions(precompress)
+    if (options.hashNames) throw TypeError('The hashNames option can not be used when minifying in place')
+    const results = await Promise.all([paths].flat().map(async file => {
+      const result = {file, type}
+      const tempFile = join(dirname(file), '.'+basename(file)+'.'+randomBytes(6).toString('hex')+'.tmp')
+      try {
+        const {mode} = await stat(file)
+        const {type, inputSize, outputSize, integrity} = await this.fileToFile(file, tempFile, result.type, options)
+        Object.assign(result, {type, inputSize, outputSize, ...(integrity && {integrity})})
+        const fileHandle = await open(tempFile, 'r+')
+        try {
+          await fileHandle.chmod(mode)
+          await fileHandle.sync()
+        } finally {
+          await fileHandle.close()
+        }
+        if (backupSuffix) {
+          result.backupFile = file+backupSuffix
+          await copyFile(file, result.backupFile)
+        }
+        await rename(tempFile, file)
+        if (precompress) result.precompressed = await writePrecompressed(file, precompress)
+      } catch (error) {
+        result.error = error
+        await rm(tempFile, {force: true})
+      }
+      return result
+    }))
+    if (options.signal?.aborted) throw new AbortError(undefined, {cause: options.signal.reason})
+    return results
+  }
+
+  /**
+   * Minify the input given according to the type specified.
+   * @param {string} type The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22), their MIME types (e.g. `text/html`) and file extensions (e.g. `mjs`) are also accepted. Or `'auto'` to detect it by sniffing the input.
+   * @param {string|Buffer|Uint8Array} textContent The input, bytes are passed to the minifier as is.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Allows the job to be aborted, it then rejects with an `AbortError`.
+   * @param {number} [options.timeout] Overrides the timeout set on the controller.
+   * @param {number} [options.priority] Jobs with a higher priority are run before those queued with a lower one (e.g. to let interactive requests skip ahead of bulk work). Defaults to 0.
+   * @param {string} [options.output] Set to `'buffer'` to resolve with the raw bytes as a `Buffer` instead of a string.
+   * @param {boolean} [options.details] Resolve with the details of the job instead of only the minified content, the compressed sizes are those at the max gzip and brotli levels.
+   * @returns {Promise.<string|Buffer|{code: string|Buffer, type: string}|{code: string|Buffer, type: string, originalBytes: number, minifiedBytes: number, ratio: number, gzipBytes: number, brotliBytes: number, durationMs: number, binaryVersion: string}>} A promise which resolves with the minified content when done or rejects with a `MinifyError`. If the type was `'auto'` it resolves with the content as `code` together with the detected `type`, or with the details if enabled.
+   */
+  content(type, textContent, options = {}) {
+    if (typeof textContent != 'string' && !(textContent instanceof Uint8Array)) return Promise.reject(TypeError('The content to minify must be a string, Buffer or Uint8Array, got: '+textContent))
+    if (type == 'auto') {
+      try {type = this.#sniffType(textContent)} catch (error) {return Promise.reject(error)}
+      return this.content(type, textContent, options).then(result => options.details ? result : {code: result, type})
+    }
+    if (!outputModes.includes(options.output ?? 'string')) return Promise.reject(TypeError("The output option must be 'string' or 'buffer', got: "+options.output))
+    try {type = this.#resolveType(type)} catch (error) {return Promise.reject(error)}
+    const runJob = jobOptions => {
+      const job = this.#newJob(type, byteLength(textContent))
+      const done = this.#batch ? this.#stageJob(job, {source: textContent, options: jobOptions}) : this.#pushJob(job, (resolve, reject) => {
+        const args = [...this.#cliOptions, '--type='+type]
+        const minify = job.process = spawn(minifyPath, args)
+        const stdout = collectStdout(minify, jobOptions.output)
+        processDone(minify, {type, source: textContent})
+          .then(() => resolve(stdout()), reject)
+        // minify.on('spawn', () => {
+          if (minify.stdin.writable) minify.stdin.end(textContent)
+        // })
+      }, jobOptions)
+      return done.then(output => ({output, job}))
+    }
+    const finish = ({output, job}) => {
+      const code = options.output == 'buffer' || typeof output == 'string' ? output : output.toString('utf-8')
+      return options.details ? jobDetails(job, code) : code
+    }
+    if (!this.#diskCache && !this.#memoryCache) return runJob(options).then(finish)
+    // the caches keep the output as a Buffer
+    if (this.#closed) return Promise.reject(new ClosedError())
+    if (options.signal?.aborted) return Promise.reject(new AbortError(undefined, {cause: options.signal.reason}))
+    const cachedJob = {type, inputSize: byteLength(textContent), duration: 0}
+    const minify = signal => {
+      const jobOptions = {...options, output: 'buffer', signal}
+      if (!this.#diskCache) return runJob(jobOptions)
+      return this.#track(this.#cached(type, textContent, jobOptions, () => runJob(jobOptions),
+        ({output}) => output,
+        cached => ({output: cached, job: cachedJob})
+      ))
+    }
+    if (!this.#memoryCache) return minify(options.signal).then(finish)
+    // the Buffer kept in memory is shared, hence every caller gets its own copy of it
+    const finishCopy = ({output, job}) => finish({output: options.output == 'buffer' ? Buffer.from(output) : output, job})
+    const key = this.#memoryCache.key(type, textContent)
+    const cached = this.#memoryCache.get(key)
+    if (cached) return Promise.resolve(finishCopy({output: cached, job: cachedJob}))
+    return this.#memoryCache.shared(key, options.signal, signal => minify(signal).then(result => {
+      this.#memoryCache.set(key, result.output)
+      return result
+    })).then(finishCopy)
   }
 
 
 }
 
+/** The public part of a job record, as given to the lifecycle events. */
+function jobInfo({id, type, inputSize, outputSize, duration}) {
+  return {id, type, inputSize, outputSize, duration}
+}
+
+function newTotals() {
+  return {completedJobs: 0, failedJobs: 0, inputBytes: 0, outputBytes: 0, duration: 0}
+}
+
+/** The result of `content()` or `file()` from a cached output. */
+function fromCache(cached, {type, inputSize}, {output, details}) {
+  const code = output == 'buffer' ? cached : cached.toString('utf-8')
+  return details ? jobDetails({type, inputSize, duration: 0}, code) : code
+}
+
+/** The details of a successful job, as resolved with when `details` is enabled. */
+async function jobDetails({type, inputSize, duration}, code) {
+  const minifiedBytes = byteLength(code)
+  const {gzipBytes, brotliBytes} = await compressedSizes(code)
+  return {
+    code, type, originalBytes: inputSize, minifiedBytes,
+    ratio: inputSize ? minifiedBytes / inputSize : 1,
+    gzipBytes, brotliBytes, durationMs: duration, binaryVersion: binaryVersion()
+  }
+}
+
+/** The version tag of the minify binary (as written by the install script), or `undefined` if unknown. It's read again when the file changes (e.g. after `updateMinify()`). */
+function binaryVersion() {
+  const versionFile = resolve(moduleDirectory+'../minify_version.json')
+  const modified = statSync(versionFile, {throwIfNoEntry: false})?.mtimeMs
+  if (modified !== binaryVersionTag.modified) {
+    binaryVersionTag = {modified, tag: undefined}
+    try {
+      binaryVersionTag.tag = JSON.parse(readFileSync(versionFile, 'utf-8')).tag
+    } catch {}
+  }
+  return binaryVersionTag.tag
+}
+
 /**
- * Creates a duplex (read/write) Node.js stream attached to the minifier so you can use it in a [pipeline](https://nodejs.org/api/stream.html#streampipelinestreams-callback) e.g. This function doesn't come with any concurrency controller; so beware if you want to limit the minify processes spawned.
- * @param {string} type The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22).
+ * Validate a timeout.
+ * @param {number} timeout Milliseconds, where 0 or `Infinity` means no timeout.
+ * @returns {number} The timeout, 0 if none.
+ */
+function validTimeout(timeout) {
+  if (timeout === Infinity) return 0
+  if (!(timeout >= 0 && timeout <= maxTimeout)) throw TypeError('The timeout must be a non-negative number of milliseconds (at most '+maxTimeout+'), got: '+timeout)
+  return timeout
+}
+
+/** The size in bytes of a string or byte array, else `undefined`. */
+function byteLength(value) {
+  if (typeof value == 'string') return Buffer.byteLength(value)
+  if (value instanceof Uint8Array) return value.byteLength
+}
+
+/** Resolves with the size of the file or `undefined` if it can't be read. */
+function fileSize(path) {
+  return stat(path).then(stats => stats.size, () => undefined)
+}
+
+/** Ask the process to terminate and kill it if it hasn't exited within the grace period. */
+function terminate(minify) {
+  minify.kill('SIGTERM')
+  setTimeout(() => {
+    if (minify.exitCode === null && minify.signalCode === null) minify.kill('SIGKILL')
+  }, killGracePeriod).unref()
+}
+
+/** Returns the input as a string (for rendering a code frame). */
+function decodeSource(source) {
+  if (source instanceof Uint8Array) {
+    return Buffer.from(source.buffer, source.byteOffset, source.byteLength).toString('utf-8')
+  }
+  return source
+}
+
+/**
+ * Collects everything a minify process writes to stdout. The output is decoded once it's complete, hence no multi-byte characters are split between chunks.
+ * @param {ChildProcess} minify The spawned minify process.
+ * @param {string} [output] `'buffer'` or `'string'` (the default).
+ * @returns {function(): string|Buffer} Call it when the process is done to get the output.
+ */
+function collectStdout(minify, output = 'string') {
+  const chunks = []
+  minify.stdout.on('data', chunk => chunks.push(chunk))
+  return () => {
+    const buffer = Buffer.concat(chunks)
+    return output == 'buffer' ? buffer : buffer.toString('utf-8')
+  }
+}
+
+/**
+ * Collects everything a minify process writes to stderr and waits for it to exit.
+ * @param {ChildProcess} minify The spawned minify process.
+ * @param {Object} errorDetails Passed on to the `MinifyError` (type, file and/or source). If only the file is known it's read to render the code frame.
+ * @returns {Promise} Resolves if the exit code is 0, else rejects with a `MinifyError`.
+ */
+function processDone(minify, errorDetails) {
+  return new Promise((resolve, reject) => {
+    let stderr = ''
+    liveProcesses.add(minify)
+    // writing to a process which exited (e.g. after an error or being killed) causes EPIPE, the exit code tells the story instead
+    minify.stdin.on('error', () => {})
+    minify.stderr
+      .setEncoding('utf-8')
+      .on('data', text => {stderr += text})
+    minify
+      .on('error', error => {
+        liveProcesses.delete(minify)
+        reject(error)
+      })
+      .on('close', (code, signal) => {
+        liveProcesses.delete(minify)
+        if (code === 0) return resolve()
+        const {source, file} = errorDetails
+        const sourceRead = source === undefined && file ? readFile(file, 'utf-8').catch(() => undefined) : Promise.resolve(decodeSource(source))
+        sourceRead.then(source => reject(new MinifyError(stderr, {code, signal, ...errorDetails, source})))
+      })
+  })
+}
+
+/**
+ * Creates a duplex (read/write) Node.js stream attached to the minifier so you can use it in a [pipeline](https://nodejs.org/api/stream.html#streampipelinestreams-callback) e.g. This function doesn't come with any concurrency controller; so beware if you want to limit the minify processes spawned. If minification fails the stream is destroyed with a `MinifyError`.
+ * @param {string} type The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22), their MIME types (e.g. `text/html`) and file extensions (e.g. `mjs`) are also accepted.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Kills the process and destroys the stream with an `AbortError` when aborted.
  * @returns Promise<stream.Duplex>
  */
-export async function minifyStream(type) {
-  if (typeof type != 'string') throw Error("The type ('js', 'html', etc) needs to be a string, got: "+type)
+export async function minifyStream(type, {signal} = {}) {
+  const resolvedType = defaultTypes.type(type)
+  if (!resolvedType) throw Error("Unknown type: "+type+". Valid types are html, css, js, json, svg and xml (or their MIME types and file extensions).")
+  type = resolvedType
+  if (signal?.aborted) throw new AbortError(undefined, {cause: signal.reason})
   const minify = spawn(minifyPath, ['--type='+type])
-  minify.stdout.setEncoding('utf-8')
-  minify.stderr.setEncoding('utf-8')
   await new Promise((resolve, reject) => {
     minify.on('spawn', resolve)
     minify.on('error', reject)
   })
-  const duplexStream = Duplex.from({writable: minify.stdin, readable: minify.stdout})
-  minify.stderr.on('data', text => {
-    duplexStream.destroy(Error(text))
-  })
+  if (signal?.aborted) {
+    minify.kill()
+    throw new AbortError(undefined, {cause: signal.reason})
+  }
+  // the output is held back until the exit code is known, so an error can't be mistaken for a successful end
+  const readable = new PassThrough().setEncoding('utf-8')
+  minify.stdout.pipe(readable, {end: false})
+  const duplexStream = Duplex.from({writable: minify.stdin, readable})
+  processDone(minify, {type}).then(
+    () => readable.end(),
+    error => duplexStream.destroy(error)
+  )
+  if (signal) {
+    const onAbort = () => {
+      terminate(minify)
+      duplexStream.destroy(new AbortError(undefined, {cause: signal.reason}))
+    }
+    signal.addEventListener('abort', onAbort, {once: true})
+    duplexStream.once('close', () => signal.removeEventListener('abort', onAbort))
+  }
   return duplexStream
 }
+
+/**
+ * Minify the input synchronously, blocking until the minify process has exited. Meant for synchronous contexts (e.g. config files, template compilers or `require` hooks), else use the async API which doesn't block the event loop.
+ * @param {string} type The type of content to minify. Valid types are html, css, js, json, svg and xml (as of minify v2.9.22), their MIME types (e.g. `text/html`) and file extensions (e.g. `mjs`) are also accepted. Or `'auto'` to detect it by sniffing the input.
+ * @param {string|Buffer|Uint8Array} textContent The input, bytes are passed to the minifier as is.
+ * @param {Object} [options] The per-language options (`html`, `css`, `js`, `svg`, `xml` and `json`) and `customCliOptions` work as when given to the `Minify` constructor.
+ * @param {number} [options.timeout] The max amount of milliseconds to wait before the process is killed and a `TimeoutError` is thrown, at most 2147483647. Defaults to no timeout (0 or `Infinity`).
+ * @param {string} [options.output] Set to `'buffer'` to return the raw bytes as a `Buffer` instead of a string.
+ * @returns {string|Buffer|{code: string|Buffer, type: string}} The minified content, or if the type was `'auto'` the content as `code` together with the detected `type`. Throws a `MinifyError` if minification failed.
+ */
+export function minifySync(type, textContent, options = {}) {
+  if (typeof textContent != 'string' && !(textContent instanceof Uint8Array)) throw TypeError('The content to minify must be a string, Buffer or Uint8Array, got: '+textContent)
+  if (type == 'auto') {
+    const sniffedType = sniffType(decodeSource(textContent))
+    if (!sniffedType) throw Error('Could not detect the type of the content, hence it needs to be specified manually.')
+    return {code: minifySync(sniffedType, textContent, options), type: sniffedType}
+  }
+  const resolvedType = defaultTypes.type(type)
+  if (!resolvedType) throw Error("Unknown type: "+type+". Valid types are html, css, js, json, svg and xml (or their MIME types and file extensions).")
+  return runSync(resolvedType, options, {input: textContent}, {type: resolvedType, source: textContent})
+}
+
+/**
+ * Minify the file at the given path synchronously, see `minifySync()`.
+ * @param {string} filePath Path to the file to minify.
+ * @param {Object} [options] The same as for `minifySync()`.
+ * @param {string} [options.type] The type of content to minify, by default it's taken from the extension of the file. Can also be `'auto'`.
+ * @returns {string|Buffer|{code: string|Buffer, type: string}} The minified content, or if the type was `'auto'` the content as `code` together with the detected `type`. Throws a `MinifyError` if minification failed.
+ */
+export function minifyFileSync(filePath, {type, ...options} = {}) {
+  if (type == 'auto') {
+    const sniffedType = sniffType(readFileSync(filePath, 'utf-8'))
+    if (!sniffedType) throw Error('Could not detect the type of '+filePath+', hence it needs to be specified manually.')
+    return {code: minifyFileSync(filePath, {...options, type: sniffedType}), type: sniffedType}
+  }
+  const resolvedType = type ? defaultTypes.type(type) : defaultTypes.fileType(filePath)
+  if (!resolvedType) {
+    if (type) throw Error("Unknown type: "+type+". Valid types are html, css, js, json, svg and xml (or their MIME types and file extensions).")
+    throw Error("The type of the file to minify is unknown from its extension, hence the type needs to be specified manually (or set to 'auto'). File: "+filePath)
+  }
+  return runSync(resolvedType, options, {file: filePath}, {type: resolvedType, file: filePath})
+}
+
+/** Run minify with `spawnSync` and return its output, throws a `MinifyError` or `TimeoutError` if it failed. */
+function runSync(type, {html, css, js, svg, xml, json, customCliOptions = [], timeout = 0, output = 'string'}, {input, file}, errorDetails) {
+  timeout = validTimeout(timeout)
+  if (!outputModes.includes(output)) throw TypeError("The output option must be 'string' or 'buffer', got: "+output)
+  const args = [...cliOptionsFromObjects({html, css, js, svg, xml, json}), ...customCliOptions, '--type='+type]
+  if (file !== undefined) args.push(file)
+  const result = spawnSync(minifyPath, args, {input, timeout, maxBuffer: Infinity})
+  if (result.error) {
+    if (result.error.code == 'ETIMEDOUT') throw new TimeoutError(timeout)
+    throw result.error
+  }
+  if (result.status !== 0) {
+    let {source} = errorDetails
+    if (source === undefined) {
+      try {source = readFileSync(file, 'utf-8')} catch {}
+    } else {
+      source = decodeSource(source)
+    }
+    throw new MinifyError(result.stderr.toString('utf-8'), {code: result.status, signal: result.signal, ...errorDetails, source})
+  }
+  return output == 'buffer' ? result.stdout : result.stdout.toString('utf-8')
+}
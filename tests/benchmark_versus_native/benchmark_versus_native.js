@@ -78,6 +78,9 @@ async function main() {
     await runTest('minify.fileToFile', () => {
       return run_nodeApiTest({test: 2})
     })
+    await runTest('minify.directory', () => {
+      return new Minify({maxConcurrency}).directory('test_data', 'nodeAPI_out')
+    })
     await runTest('minify.pipe', () => {
       return run_nodeApiTest({test: 0})
     })
@@ -104,6 +107,14 @@ async function main() {
     }
     return Promise.all(jobDonePromises)
   })
+  await runTest('minify.content without file IO (batch mode)', () => {
+    const minify = new Minify({maxConcurrency, batch: true})
+    const jobDonePromises = []
+    for (const [name, content] of fileCache.entries()) {
+      jobDonePromises.push(minify.content(extname(name).slice(1), content))
+    }
+    return Promise.all(jobDonePromises)
+  })
   log('All done.')
 }
 